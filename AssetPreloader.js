@@ -0,0 +1,148 @@
+/**
+ * ASSET PRELOADER - Loading Screen Progress
+ *
+ * Holds the loading screen until the critical set is ready: the assets of
+ * the scene the page opens on (see SceneAssets.js). Everything else keeps
+ * streaming in behind the experience.
+ *
+ * - Every file loader is built on `manager` (a THREE.LoadingManager), so
+ *   requests are counted as items and failed URLs are collected
+ * - Progress is per asset, in bytes where the loader reports them; the bar
+ *   only ever moves forward, even as probing loaders discover more files
+ * - Assets that fail use their fallbacks and count as done; the label says so
+ * - After `timeout` the screen lifts anyway; stragglers pop in when ready
+ */
+
+import * as THREE from './vendor/three.module.js';
+
+export class AssetPreloader {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.element - The .loading-screen
+   */
+  constructor(options = {}) {
+    this.element = options.element || null;
+    this.bar = this.element?.querySelector('.loading-progress') || null;
+    this.fill = this.element?.querySelector('.loading-progress-fill') || null;
+    this.label = this.element?.querySelector('p') || null;
+
+    this.items = { loaded: 0, total: 0 };
+    this.failedURLs = [];
+    this.getProgress = null;
+    this.shown = 0;
+    this.done = false;
+    this.timeoutId = 0;
+
+    this.config = {
+      timeout: 15000, // ms before the screen lifts without the critical set
+      fadeDuration: 900, // ms; matches the .loading-screen opacity transition
+    };
+
+    this.callbacks = {
+      onProgress: [], // (progress) - see SceneAssetLoader.getProgress()
+      onReady: [],    // (progress, timedOut)
+    };
+
+    this.manager = new THREE.LoadingManager();
+    this.manager.onProgress = (url, loaded, total) => {
+      this.items = { loaded, total };
+      this.update();
+    };
+    this.manager.onError = (url) => {
+      this.failedURLs.push(url);
+    };
+  }
+
+  /**
+   * Track the critical set and hide the screen once it settles
+   * @param {Promise} ready - Settles when the critical assets have
+   * @param {Function} getProgress - Current progress of the critical set
+   */
+  watch(ready, getProgress) {
+    this.getProgress = getProgress;
+    this.update();
+
+    this.timeoutId = setTimeout(() => {
+      console.warn('[Preload] Critical assets still loading; showing the experience anyway');
+      this.finish(true);
+    }, this.config.timeout);
+
+    return Promise.resolve(ready)
+      .catch((error) => console.error('[Preload] Critical assets failed', error))
+      .then(() => this.finish(false));
+  }
+
+  /**
+   * Redraw the bar and label from current progress
+   */
+  update() {
+    if (this.done || !this.getProgress) return;
+
+    const progress = this.getProgress();
+    this.shown = Math.max(this.shown, progress.progress);
+    const percent = Math.round(this.shown * 100);
+
+    if (this.fill) this.fill.style.transform = `scaleX(${this.shown})`;
+    if (this.bar) this.bar.setAttribute('aria-valuenow', String(percent));
+    if (this.label) this.label.textContent = this.describe(progress, percent);
+
+    this.callbacks.onProgress.forEach(cb => cb(progress));
+  }
+
+  /**
+   * e.g. "Loading 64% · 2 of 3 assets · 1.2 / 4.8 MB"
+   */
+  describe(progress, percent) {
+    const parts = [`Loading ${percent}%`, `${progress.loaded} of ${progress.total} assets`];
+    if (progress.bytesTotal > 0) {
+      parts.push(`${formatMB(progress.bytesLoaded)} / ${formatMB(progress.bytesTotal)} MB`);
+    }
+    if (progress.failed > 0) {
+      parts.push(`${progress.failed} using fallback`);
+    }
+    return parts.join(' · ');
+  }
+
+  finish(timedOut) {
+    if (this.done) return;
+    if (!timedOut) this.update();
+    this.done = true;
+    clearTimeout(this.timeoutId);
+
+    if (this.failedURLs.length) {
+      console.warn(`[Preload] ${this.failedURLs.length} request(s) failed`, this.failedURLs);
+    }
+    console.log(`[Preload] ${timedOut ? 'Timed out' : 'Critical assets ready'} (${this.items.loaded}/${this.items.total} requests)`);
+
+    this.hide();
+    const progress = this.getProgress?.() ?? null;
+    this.callbacks.onReady.forEach(cb => cb(progress, timedOut));
+  }
+
+  hide() {
+    const loading = this.element;
+    if (!loading) return;
+    loading.classList.add('hidden');
+    setTimeout(() => {
+      loading.style.display = 'none';
+    }, this.config.fadeDuration);
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    clearTimeout(this.timeoutId);
+    this.done = true;
+  }
+}
+
+function formatMB(bytes) {
+  return (bytes / (1024 * 1024)).toFixed(1);
+}
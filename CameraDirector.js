@@ -6,8 +6,14 @@
  * - Catmull-Rom spline paths for smooth trajectories
  * - Dynamic FOV for emotional emphasis
  * - Look-at target interpolation with anticipation
- * - Momentum-based mouse parallax
- * - Camera shake/drift for organic life
+ * - Momentum-based parallax from mouse, or from a ParallaxInput
+ *   (touch drag, device tilt) when one is supplied
+ * - Camera drift for organic life
+ * - Trauma-based shake: triggers add trauma, trauma decays every frame,
+ *   and smooth noise scaled by trauma^exponent moves and rolls the camera
+ * - Reduced motion: static scene poses with a cut (onCut) between scenes
+ * - Focus pulls: depth-of-field focus racked from each scene's focus
+ *   target (an object or a world point) to the next across transitions
  * 
  * Philosophy:
  * Camera leads the viewer's attention through spatial story.
@@ -15,11 +21,21 @@
  */
 
 import * as THREE from './vendor/three.module.js';
+import { SeededRandom } from './SeededRandom.js';
 
 export class CameraDirector {
-  constructor(camera, sceneManager) {
+  constructor(camera, sceneManager, random = new SeededRandom(), input = null) {
     this.camera = camera;
     this.sceneManager = sceneManager;
+    this.random = random; // Shake noise channels
+    
+    // Spline rails (one hold rail per scene, one exit rail per gap)
+    this.rails = [];
+    this.railState = {
+      position: new THREE.Vector3(),
+      lookAt: new THREE.Vector3(),
+      fov: 75,
+    };
     
     // Current camera state
     this.targetPosition = new THREE.Vector3();
@@ -41,6 +57,31 @@ export class CameraDirector {
     this.driftSpeed = 0.0005;
     this.driftTime = 0;
     
+    // Trauma shake (0-1). Translation and rotation read separate noise channels.
+    this.trauma = 0;
+    this.traumaDecay = 0;
+    this.shakeTime = 0;
+    this.shakeSeeds = Array.from({ length: 6 }, () => this.random.int(0, 0x7FFFFFFF));
+    this.shakeOffset = new THREE.Vector3();
+    this.shakeRotation = new THREE.Euler();
+    
+    // Reduced motion: hold the manifest pose of the current scene
+    this.reducedMotion = false;
+    this.staticIndex = null;
+    
+    // Depth of field, read by the app's DepthOfFieldPass each frame
+    this.focus = { distance: 10, aperture: 0, maxblur: 0 };
+    this.focusTarget = { distance: 10, aperture: 0, maxblur: 0 };
+    this.focusFrom = { distance: 10, aperture: 0, maxblur: 0 };
+    this.focusTo = { distance: 10, aperture: 0, maxblur: 0 };
+    this.focusPoint = new THREE.Vector3();
+    this.focusForward = new THREE.Vector3();
+    this.resolveFocusObject = null; // (name) => Object3D | null
+    
+    this.callbacks = {
+      onCut: [],
+    };
+    
     // Configuration
     this.config = {
       positionLerp: 0.08, // Camera position smoothing
@@ -50,25 +91,121 @@ export class CameraDirector {
       mouseSmoothness: 0.12, // Mouse movement smoothing
       momentumDrag: 0.92, // Velocity decay
       driftAmplitude: 0.3, // Organic drift amount
-      shakeEnabled: false, // Camera shake toggle
-      shakeAmount: 0,
+      shakeEnabled: true, // Camera shake toggle
+      shakeDecay: 1.2, // Trauma lost per second when no duration is given
+      shakeExponent: 2, // Shake = trauma^exponent, so small trauma stays subtle
+      shakeFrequency: 14, // Noise samples per second
+      shakeTranslation: 0.6, // Max offset in world units at full trauma
+      shakeRotation: 0.05, // Max pitch/yaw/roll in radians at full trauma
+      focusEnabled: true, // Track focus targets (off below the 'high' tier)
+      focusLerp: 0.12, // Focus distance smoothing
+      focusAperture: 0.0015, // Used when a scene's focus omits aperture
+      focusMaxblur: 0.006, // Used when a scene's focus omits maxblur
     };
     this.handleMouseMove = this.handleMouseMove.bind(this);
 
-    this.setupEventListeners();
+    this.buildRails();
+    this.setupEventListeners(input);
+  }
+
+  /**
+   * Build Catmull-Rom rails from the scene manifest.
+   * Each scene gets a hold rail flown across its local progress, and each
+   * gap gets an exit rail from the end of one hold rail, through the scene's
+   * exitRail waypoints, to the start of the next hold rail.
+   */
+  buildRails() {
+    const scenes = this.sceneManager.scenes;
+    const holdPoints = scenes.map((scene) => ({
+      position: scene.camera.rail?.position || [scene.camera.position],
+      lookAt: scene.camera.rail?.lookAt || [scene.camera.lookAt],
+    }));
+
+    this.rails = scenes.map((scene, index) => {
+      const hold = holdPoints[index];
+      const next = holdPoints[index + 1];
+      const exitRail = scene.camera.exitRail || {};
+
+      return {
+        hold: {
+          position: new SplineRail(hold.position),
+          lookAt: new SplineRail(hold.lookAt),
+        },
+        exit: next ? {
+          position: new SplineRail([
+            hold.position[hold.position.length - 1],
+            ...(exitRail.position || []),
+            next.position[0],
+          ]),
+          lookAt: new SplineRail([
+            hold.lookAt[hold.lookAt.length - 1],
+            ...(exitRail.lookAt || []),
+            next.lookAt[0],
+          ]),
+        } : null,
+        fov: scene.camera.fov,
+        nextFov: scenes[index + 1]?.camera.fov ?? scene.camera.fov,
+      };
+    });
+  }
+
+  /**
+   * Sample the rails for a scroll position.
+   * The hold rail spans the scene until its anticipation zone; the exit rail
+   * spans the anticipation zone, eased so the flight leaves and lands softly.
+   * @param {number} scrollProgress - 0 to 1
+   */
+  getRailCamera(scrollProgress) {
+    const { index, localProgress } = this.sceneManager.getCurrentScene(scrollProgress);
+    const rail = this.rails[index];
+    const state = this.railState;
+
+    if (!rail.exit) {
+      rail.hold.position.getPointAt(localProgress, state.position);
+      rail.hold.lookAt.getPointAt(localProgress, state.lookAt);
+      state.fov = rail.fov;
+      return state;
+    }
+
+    const holdSpan = 1 - this.sceneManager.config.anticipationDistance;
+    if (localProgress <= holdSpan) {
+      const u = holdSpan > 0 ? localProgress / holdSpan : 1;
+      rail.hold.position.getPointAt(u, state.position);
+      rail.hold.lookAt.getPointAt(u, state.lookAt);
+      state.fov = rail.fov;
+      return state;
+    }
+
+    const exitProgress = (localProgress - holdSpan) / (1 - holdSpan);
+    const u = this.sceneManager.easeInOutCubic(exitProgress);
+    rail.exit.position.getPointAt(u, state.position);
+    rail.exit.lookAt.getPointAt(u, state.lookAt);
+    state.fov = this.sceneManager.lerp(rail.fov, rail.nextFov, u);
+    return state;
   }
 
   /**
    * Setup mouse tracking for parallax
    */
-  setupEventListeners() {
+  setupEventListeners(input) {
+    if (input) {
+      input.on('onMove', (state) => this.setPointer(state.x, state.y));
+      return;
+    }
     document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
   }
 
   handleMouseMove(e) {
-    const x = (e.clientX / window.innerWidth) * 2 - 1;
-    const y = -(e.clientY / window.innerHeight) * 2 + 1;
-    
+    this.setPointer(
+      (e.clientX / window.innerWidth) * 2 - 1,
+      -(e.clientY / window.innerHeight) * 2 + 1
+    );
+  }
+
+  /**
+   * Feed a look position in [-1, 1] (mouse, drag or tilt)
+   */
+  setPointer(x, y) {
     // Calculate velocity for momentum
     this.mouseVelocity.x = x - this.mouse.x;
     this.mouseVelocity.y = y - this.mouse.y;
@@ -83,21 +220,22 @@ export class CameraDirector {
    * @param {number} deltaTime - Frame delta in seconds
    */
   update(scrollProgress, deltaTime) {
-    // Get target camera state from scene manager
-    const cameraState = this.sceneManager.getInterpolatedCamera(scrollProgress);
+    // Take last frame's shake back out so it never leaks into smoothing
+    this.camera.position.sub(this.shakeOffset);
+    this.shakeOffset.set(0, 0, 0);
     
-    // Set target position and look-at
-    this.targetPosition.set(
-      cameraState.position.x,
-      cameraState.position.y,
-      cameraState.position.z
-    );
+    if (this.reducedMotion) {
+      this.updateStaticPose(scrollProgress);
+      this.updateFocus(scrollProgress, true);
+      return;
+    }
     
-    this.targetLookAt.set(
-      cameraState.lookAt.x,
-      cameraState.lookAt.y,
-      cameraState.lookAt.z
-    );
+    // Get target camera state from the spline rails
+    const cameraState = this.getRailCamera(scrollProgress);
+    
+    // Set target position and look-at
+    this.targetPosition.copy(cameraState.position);
+    this.targetLookAt.copy(cameraState.lookAt);
     
     this.targetFov = cameraState.fov;
 
@@ -117,11 +255,139 @@ export class CameraDirector {
     // Update look-at
     this.camera.lookAt(this.currentLookAt);
     
+    // Shake rides on top of the settled pose
+    this.applyShake(deltaTime);
+    
     // Smooth FOV transition
     if (Math.abs(this.camera.fov - this.targetFov) > 0.1) {
       this.camera.fov += (this.targetFov - this.camera.fov) * this.config.fovLerp;
       this.camera.updateProjectionMatrix();
     }
+    
+    this.updateFocus(scrollProgress);
+  }
+
+  /**
+   * Look up the objects manifests name as focus targets. They stream in and
+   * out with their scenes, so a missing one falls back to the scene's lookAt.
+   * @param {Function} resolve - (name) => Object3D | null
+   */
+  setFocusResolver(resolve) {
+    this.resolveFocusObject = resolve;
+  }
+
+  /**
+   * Rack focus from the current scene's target to the next one's on the
+   * eased transition curve, measured from where the camera is now
+   * @param {number} scrollProgress - 0 to 1
+   * @param {boolean} immediate - Skip smoothing (cuts and snaps)
+   */
+  updateFocus(scrollProgress, immediate = false) {
+    if (!this.config.focusEnabled) return;
+    
+    const { scene, nextScene, amount } = this.sceneManager.getSceneBlend(scrollProgress);
+    const from = this.getSceneFocus(scene, this.focusFrom);
+    const to = nextScene && amount > 0 ? this.getSceneFocus(nextScene, this.focusTo) : from;
+    const lerp = THREE.MathUtils.lerp;
+    const target = this.focusTarget;
+    target.distance = lerp(from.distance, to.distance, amount);
+    target.aperture = lerp(from.aperture, to.aperture, amount);
+    target.maxblur = lerp(from.maxblur, to.maxblur, amount);
+    
+    const t = immediate ? 1 : this.config.focusLerp;
+    this.focus.distance += (target.distance - this.focus.distance) * t;
+    this.focus.aperture += (target.aperture - this.focus.aperture) * t;
+    this.focus.maxblur += (target.maxblur - this.focus.maxblur) * t;
+  }
+
+  /**
+   * A scene's focus as view depth from the camera, plus its lens settings
+   */
+  getSceneFocus(scene, out) {
+    const focus = scene.camera.focus || {};
+    const object = focus.target ? this.resolveFocusObject?.(focus.target) : null;
+    const point = focus.point || scene.camera.lookAt;
+    
+    if (object) {
+      object.getWorldPosition(this.focusPoint);
+    } else {
+      this.focusPoint.set(point.x, point.y, point.z);
+    }
+    
+    this.camera.getWorldDirection(this.focusForward);
+    const depth = this.focusPoint.sub(this.camera.position).dot(this.focusForward);
+    out.distance = Math.max(this.camera.near, depth);
+    out.aperture = focus.aperture ?? this.config.focusAperture;
+    out.maxblur = focus.maxblur ?? this.config.focusMaxblur;
+    return out;
+  }
+
+  /**
+   * Snap to the current scene's authored pose; fire onCut when it changes
+   */
+  updateStaticPose(scrollProgress) {
+    const { scene, index } = this.sceneManager.getCurrentScene(scrollProgress);
+    if (index === this.staticIndex) return;
+    
+    const previousIndex = this.staticIndex;
+    const { position, lookAt, fov } = scene.camera;
+    this.camera.position.set(position.x, position.y, position.z);
+    this.targetPosition.copy(this.camera.position);
+    this.currentLookAt.set(lookAt.x, lookAt.y, lookAt.z);
+    this.targetLookAt.copy(this.currentLookAt);
+    this.camera.lookAt(this.currentLookAt);
+    this.camera.fov = this.targetFov = fov;
+    this.camera.updateProjectionMatrix();
+    this.staticIndex = index;
+    
+    if (previousIndex !== null) {
+      this.callbacks.onCut.forEach(cb => cb(scene, index, previousIndex));
+    }
+  }
+
+  /**
+   * Jump straight to the pose for a scroll position, skipping the lerps
+   */
+  snapTo(scrollProgress) {
+    this.reset();
+    
+    if (this.reducedMotion) {
+      this.staticIndex = null; // Re-pose without counting it as a cut
+      this.updateStaticPose(scrollProgress);
+      this.updateFocus(scrollProgress, true);
+      return;
+    }
+    
+    const { position, lookAt, fov } = this.getRailCamera(scrollProgress);
+    this.camera.position.copy(position);
+    this.targetPosition.copy(position);
+    this.currentLookAt.copy(lookAt);
+    this.targetLookAt.copy(lookAt);
+    this.camera.lookAt(this.currentLookAt);
+    this.camera.fov = this.targetFov = fov;
+    this.camera.updateProjectionMatrix();
+    this.updateFocus(scrollProgress, true);
+  }
+
+  /**
+   * Hold static poses instead of flying the rails; no drift, shake or parallax
+   */
+  setReducedMotion(reduced) {
+    this.reducedMotion = reduced;
+    this.staticIndex = null;
+    this.trauma = 0;
+    this.traumaDecay = 0;
+    this.velocity.set(0, 0, 0);
+    this.smoothMouse = { x: 0, y: 0 };
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
   }
 
   /**
@@ -183,31 +449,64 @@ export class CameraDirector {
   }
 
   /**
-   * Trigger camera shake (for impact moments)
-   * @param {number} intensity - 0 to 1
-   * @param {number} duration - seconds
+   * Trigger camera shake (for impact moments). Triggers stack: trauma adds
+   * up (capped at 1) and the decay stretches to the longest duration asked for.
+   * @param {number} intensity - Trauma to add, 0 to 1
+   * @param {number} duration - Seconds until all trauma is gone (optional)
    */
-  shake(intensity = 0.5, duration = 0.3) {
-    this.config.shakeEnabled = true;
-    this.config.shakeAmount = intensity;
-    
-    setTimeout(() => {
-      this.config.shakeEnabled = false;
-      this.config.shakeAmount = 0;
-    }, duration * 1000);
+  shake(intensity = 0.5, duration) {
+    this.addTrauma(intensity, duration);
+  }
+
+  addTrauma(amount, duration) {
+    if (amount <= 0 || this.reducedMotion) return;
+    
+    const rate = this.traumaDecay || this.config.shakeDecay;
+    const remaining = this.trauma / rate;
+    this.trauma = Math.min(1, this.trauma + amount);
+    
+    const settleTime = Math.max(remaining, duration ?? this.trauma / this.config.shakeDecay);
+    this.traumaDecay = this.trauma / Math.max(settleTime, 1e-3);
   }
 
   /**
-   * Get camera shake offset if enabled
+   * Advance trauma and noise on the frame clock, then offset the camera
    */
-  getShakeOffset() {
-    if (!this.config.shakeEnabled) return { x: 0, y: 0, z: 0 };
+  applyShake(deltaTime) {
+    if (this.trauma <= 0 || !this.config.shakeEnabled) {
+      this.trauma = 0;
+      this.traumaDecay = 0;
+      this.shakeOffset.set(0, 0, 0);
+      return;
+    }
     
-    return {
-      x: (Math.random() - 0.5) * this.config.shakeAmount,
-      y: (Math.random() - 0.5) * this.config.shakeAmount,
-      z: (Math.random() - 0.5) * this.config.shakeAmount * 0.5,
-    };
+    this.shakeTime += deltaTime;
+    const amount = Math.pow(this.trauma, this.config.shakeExponent);
+    const t = this.shakeTime * this.config.shakeFrequency;
+    const [tx, ty, tz, rx, ry, rz] = this.shakeSeeds;
+    const move = this.config.shakeTranslation * amount;
+    const turn = this.config.shakeRotation * amount;
+    
+    this.shakeOffset.set(
+      smoothNoise(t, tx) * move,
+      smoothNoise(t, ty) * move,
+      smoothNoise(t, tz) * move * 0.5
+    );
+    this.camera.position.add(this.shakeOffset);
+    
+    this.shakeRotation.set(smoothNoise(t, rx) * turn, smoothNoise(t, ry) * turn, smoothNoise(t, rz) * turn);
+    this.camera.rotateX(this.shakeRotation.x);
+    this.camera.rotateY(this.shakeRotation.y);
+    this.camera.rotateZ(this.shakeRotation.z);
+    
+    this.trauma = Math.max(0, this.trauma - this.traumaDecay * deltaTime);
+  }
+
+  /**
+   * Current shake translation (zero when settled)
+   */
+  getShakeOffset() {
+    return { x: this.shakeOffset.x, y: this.shakeOffset.y, z: this.shakeOffset.z };
   }
 
   /**
@@ -226,16 +525,19 @@ export class CameraDirector {
         this.config.positionLerp = 0.08;
         this.config.lookAtLerp = 0.06;
         this.config.driftAmplitude = 0.3;
+        this.config.focusEnabled = true;
         break;
       case 'medium':
         this.config.positionLerp = 0.12;
         this.config.lookAtLerp = 0.1;
         this.config.driftAmplitude = 0.15;
+        this.config.focusEnabled = false;
         break;
       case 'low':
         this.config.positionLerp = 0.2;
         this.config.lookAtLerp = 0.18;
         this.config.driftAmplitude = 0;
+        this.config.focusEnabled = false;
         break;
     }
   }
@@ -295,6 +597,11 @@ export class CameraDirector {
     this.mouse = { x: 0, y: 0 };
     this.smoothMouse = { x: 0, y: 0 };
     this.mouseVelocity = { x: 0, y: 0 };
+    this.camera.position.sub(this.shakeOffset);
+    this.shakeOffset.set(0, 0, 0);
+    this.trauma = 0;
+    this.traumaDecay = 0;
+    this.shakeTime = 0;
   }
 
   /**
@@ -304,3 +611,55 @@ export class CameraDirector {
     document.removeEventListener('mousemove', this.handleMouseMove);
   }
 }
+
+/**
+ * SPLINE RAIL
+ *
+ * Centripetal Catmull-Rom curve sampled by arc length, so equal scroll
+ * distances cover equal camera distances regardless of point spacing.
+ * A rail with a single distinct point is a static pose.
+ */
+export class SplineRail {
+  constructor(points) {
+    const vectors = points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+    
+    // Drop repeated points - zero-length segments break arc-length lookup
+    this.points = vectors.filter((p, i) => i === 0 || !p.equals(vectors[i - 1]));
+    this.curve = null;
+    this.length = 0;
+    
+    if (this.points.length > 1) {
+      this.curve = new THREE.CatmullRomCurve3(this.points, false, 'centripetal');
+      this.curve.arcLengthDivisions = Math.max(200, this.points.length * 64);
+      this.length = this.curve.getLength();
+    }
+  }
+
+  /**
+   * Get point at arc-length fraction u (0 to 1)
+   */
+  getPointAt(u, target = new THREE.Vector3()) {
+    if (!this.curve) return target.copy(this.points[0]);
+    return this.curve.getPointAt(Math.min(1, Math.max(0, u)), target);
+  }
+}
+
+/**
+ * 1D gradient noise in [-1, 1], smooth in x, decorrelated across seeds
+ */
+function smoothNoise(x, seed) {
+  const i = Math.floor(x);
+  const f = x - i;
+  const fade = f * f * f * (f * (f * 6 - 15) + 10);
+  const a = latticeGradient(i, seed) * f;
+  const b = latticeGradient(i + 1, seed) * (f - 1);
+  return (a + (b - a) * fade) * 2;
+}
+
+function latticeGradient(i, seed) {
+  let h = Math.imul(i ^ seed, 0x27D4EB2D);
+  h ^= h >>> 15;
+  h = Math.imul(h, 0x85EBCA6B);
+  h ^= h >>> 13;
+  return ((h >>> 0) / 4294967295) * 2 - 1;
+}
@@ -0,0 +1,298 @@
+/**
+ * COLOR GRADING - Per-Scene 3D LUT Looks
+ *
+ * Scenes name a look in their manifest (`look: 'neon-dusk'`), loaded from
+ * looks/<name>.cube. Cube files are parsed here into 3D textures and applied
+ * by LUTShader, a pass in the PostPipeline chain ('lut').
+ *
+ * - Between scenes the outgoing and incoming LUTs are both sampled and
+ *   mixed on the scene blend curve, so the grade dissolves with the cut
+ * - The LUT is applied to sRGB-encoded colour, the space .cube looks are
+ *   authored in, then converted back to linear for the gamma pass
+ * - Scenes without a look, or whose look hasn't loaded or failed, use an
+ *   identity LUT; `post.lut.intensity` fades a look against the ungraded frame
+ * - 3D textures need WebGL2; on WebGL1 the pass stays off
+ */
+
+import * as THREE from './vendor/three.module.js';
+
+export const LUTShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    lutA: { value: null },
+    lutB: { value: null },
+    sizeA: { value: 2 },
+    sizeB: { value: 2 },
+    domainMinA: { value: new THREE.Vector3(0, 0, 0) },
+    domainMaxA: { value: new THREE.Vector3(1, 1, 1) },
+    domainMinB: { value: new THREE.Vector3(0, 0, 0) },
+    domainMaxB: { value: new THREE.Vector3(1, 1, 1) },
+    mixAmount: { value: 0 },
+    intensity: { value: 1 },
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    precision highp sampler3D;
+
+    uniform sampler2D tDiffuse;
+    uniform sampler3D lutA;
+    uniform sampler3D lutB;
+    uniform float sizeA;
+    uniform float sizeB;
+    uniform vec3 domainMinA;
+    uniform vec3 domainMaxA;
+    uniform vec3 domainMinB;
+    uniform vec3 domainMaxB;
+    uniform float mixAmount;
+    uniform float intensity;
+    varying vec2 vUv;
+
+    // Sample texel centres so the first and last entries map to the domain ends
+    vec3 lookup(sampler3D lut, float size, vec3 domainMin, vec3 domainMax, vec3 color) {
+      vec3 uvw = clamp((color - domainMin) / (domainMax - domainMin), 0.0, 1.0);
+      uvw = uvw * ((size - 1.0) / size) + 0.5 / size;
+      return texture(lut, uvw).rgb;
+    }
+
+    void main() {
+      vec4 texel = texture2D(tDiffuse, vUv);
+      vec3 color = LinearTosRGB(vec4(clamp(texel.rgb, 0.0, 1.0), 1.0)).rgb;
+      vec3 graded = mix(
+        lookup(lutA, sizeA, domainMinA, domainMaxA, color),
+        lookup(lutB, sizeB, domainMinB, domainMaxB, color),
+        mixAmount
+      );
+      color = mix(color, graded, intensity);
+      gl_FragColor = vec4(sRGBToLinear(vec4(color, 1.0)).rgb, texel.a);
+    }
+  `,
+};
+
+/**
+ * Parse an Adobe/Resolve .cube file
+ * @param {string} text
+ * @returns {{title: string, size: number, domainMin: number[], domainMax: number[], data: Float32Array}}
+ *   data is RGB triplets, red varying fastest
+ */
+export function parseCubeLUT(text) {
+  let title = '';
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  const values = [];
+
+  text.split(/\r?\n/).forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const [keyword, ...rest] = line.split(/\s+/);
+    switch (keyword) {
+      case 'TITLE':
+        title = line.slice('TITLE'.length).trim().replace(/^"|"$/g, '');
+        return;
+      case 'LUT_3D_SIZE':
+        size = parseInt(rest[0], 10);
+        return;
+      case 'LUT_1D_SIZE':
+        throw new Error('1D LUTs are not supported');
+      case 'DOMAIN_MIN':
+        domainMin = parseTriplet(rest, i);
+        return;
+      case 'DOMAIN_MAX':
+        domainMax = parseTriplet(rest, i);
+        return;
+      default:
+        values.push(...parseTriplet([keyword, ...rest], i));
+    }
+  });
+
+  if (!(size >= 2)) {
+    throw new Error('Missing or invalid LUT_3D_SIZE');
+  }
+  if (values.length !== size * size * size * 3) {
+    throw new Error(`Expected ${size ** 3} entries for LUT_3D_SIZE ${size}, found ${values.length / 3}`);
+  }
+  if (domainMin.some((min, axis) => min >= domainMax[axis])) {
+    throw new Error('DOMAIN_MIN must be below DOMAIN_MAX');
+  }
+
+  return { title, size, domainMin, domainMax, data: new Float32Array(values) };
+}
+
+/**
+ * Upload a parsed LUT as an RGBA8 3D texture. Values are clamped to 0-1.
+ * @returns {{texture: THREE.DataTexture3D, size: number, domainMin: THREE.Vector3,
+ *   domainMax: THREE.Vector3, title: string}}
+ */
+export function createLUTTexture(lut) {
+  const { size, data } = lut;
+  const pixels = new Uint8Array(size * size * size * 4);
+  for (let i = 0, j = 0; i < data.length; i += 3, j += 4) {
+    pixels[j] = Math.round(THREE.MathUtils.clamp(data[i], 0, 1) * 255);
+    pixels[j + 1] = Math.round(THREE.MathUtils.clamp(data[i + 1], 0, 1) * 255);
+    pixels[j + 2] = Math.round(THREE.MathUtils.clamp(data[i + 2], 0, 1) * 255);
+    pixels[j + 3] = 255;
+  }
+
+  const texture = new THREE.DataTexture3D(pixels, size, size, size);
+  texture.format = THREE.RGBAFormat;
+  texture.type = THREE.UnsignedByteType;
+  texture.minFilter = THREE.LinearFilter;
+  texture.magFilter = THREE.LinearFilter;
+  texture.wrapS = texture.wrapT = texture.wrapR = THREE.ClampToEdgeWrapping;
+  texture.unpackAlignment = 1;
+  texture.needsUpdate = true;
+
+  return {
+    texture,
+    size,
+    domainMin: new THREE.Vector3(...lut.domainMin),
+    domainMax: new THREE.Vector3(...lut.domainMax),
+    title: lut.title,
+  };
+}
+
+export class ColorGrader {
+  /**
+   * @param {SceneManager} sceneManager
+   * @param {Object} options - { loadingManager }
+   */
+  constructor(sceneManager, options = {}) {
+    this.sceneManager = sceneManager;
+    this.loader = new THREE.FileLoader(options.loadingManager);
+    this.pass = null;
+    this.identity = createLUTTexture(createIdentityLUT(2));
+    this.looks = new Map(); // look name -> { state, lut }
+
+    this.config = {
+      path: 'looks/', // Look files live at <path><name>.cube
+    };
+
+    this.callbacks = {
+      onLoad: [], // (name, lut) - lut is null when the look failed
+    };
+  }
+
+  /**
+   * Attach to the pipeline's LUT pass and load every look the manifest names
+   * @param {ShaderPass|null} pass - PostPipeline.get('lut')
+   * @param {THREE.WebGLRenderer} renderer
+   * @returns {Promise} Settles once every look has loaded (or failed)
+   */
+  init(pass, renderer) {
+    if (!this.attach(pass, renderer)) return Promise.resolve();
+
+    const names = [...new Set(this.sceneManager.scenes.map(scene => scene.look).filter(Boolean))];
+    return Promise.all(names.map(name => this.loadLook(name)));
+  }
+
+  /**
+   * Drive a LUT pass (again, after the pipeline is rebuilt); loaded looks
+   * keep their CPU data, so they re-upload on their own
+   * @returns {boolean} Whether grading can run
+   */
+  attach(pass, renderer) {
+    this.pass = pass;
+    if (!pass) return false;
+
+    if (!renderer.capabilities.isWebGL2) {
+      console.warn('[ColorGrading] 3D LUTs need WebGL2; grading is off');
+      pass.enabled = false;
+      return false;
+    }
+
+    this.applyLUT('A', this.identity);
+    this.applyLUT('B', this.identity);
+    return true;
+  }
+
+  loadLook(name) {
+    const entry = { state: 'loading', lut: null };
+    this.looks.set(name, entry);
+    const url = `${this.config.path}${name}.cube`;
+
+    return new Promise((resolve, reject) => {
+      this.loader.load(url, resolve, undefined, reject);
+    }).then((text) => {
+      entry.lut = createLUTTexture(parseCubeLUT(text));
+      entry.state = 'loaded';
+    }).catch((error) => {
+      console.error(`[ColorGrading] Could not load look "${name}" from ${url}`, error);
+      entry.state = 'failed';
+    }).finally(() => {
+      this.callbacks.onLoad.forEach(cb => cb(name, entry.lut));
+    });
+  }
+
+  getLUT(scene) {
+    return (scene.look && this.looks.get(scene.look)?.lut) || this.identity;
+  }
+
+  /**
+   * Grade with the current scene's look, mixing into the next one's
+   * @param {number} scrollProgress - 0 to 1
+   */
+  update(scrollProgress) {
+    if (!this.pass?.enabled) return;
+
+    const { scene, nextScene, amount } = this.sceneManager.getSceneBlend(scrollProgress);
+    const from = this.getLUT(scene);
+    const to = nextScene ? this.getLUT(nextScene) : from;
+    this.applyLUT('A', from);
+    this.applyLUT('B', to);
+    this.pass.uniforms.mixAmount.value = from === to ? 0 : amount;
+  }
+
+  applyLUT(slot, lut) {
+    const uniforms = this.pass.uniforms;
+    uniforms[`lut${slot}`].value = lut.texture;
+    uniforms[`size${slot}`].value = lut.size;
+    uniforms[`domainMin${slot}`].value.copy(lut.domainMin);
+    uniforms[`domainMax${slot}`].value.copy(lut.domainMax);
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    this.looks.forEach(entry => entry.lut?.texture.dispose());
+    this.looks.clear();
+    this.identity.texture.dispose();
+    this.pass = null;
+  }
+}
+
+function createIdentityLUT(size) {
+  const data = new Float32Array(size * size * size * 3);
+  let i = 0;
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        data[i++] = r / (size - 1);
+        data[i++] = g / (size - 1);
+        data[i++] = b / (size - 1);
+      }
+    }
+  }
+  return { title: 'Identity', size, domainMin: [0, 0, 0], domainMax: [1, 1, 1], data };
+}
+
+function parseTriplet(parts, lineIndex) {
+  const triplet = parts.slice(0, 3).map(Number);
+  if (parts.length !== 3 || triplet.some(value => !Number.isFinite(value))) {
+    throw new Error(`Line ${lineIndex + 1}: expected three numbers`);
+  }
+  return triplet;
+}
@@ -0,0 +1,126 @@
+/**
+ * CONTEXT RECOVERY - WebGL Context Loss
+ *
+ * Mobile GPUs drop WebGL contexts on memory pressure and driver resets.
+ * WebGLRenderer re-initialises its own state on restore and re-uploads
+ * geometry and textures from their CPU copies; anything the app rendered on
+ * the GPU (PMREM maps, pass targets) has to be rebuilt by the owner.
+ *
+ * - onLost: the owner pauses rendering; the canvas fades out and the
+ *   overlay explains the pause
+ * - onRestored: the owner rebuilds, then the overlay goes away
+ * - If the context hasn't come back after `reloadAfter`, the overlay
+ *   offers a reload
+ */
+
+export class ContextRecovery {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {Object} options
+   * @param {HTMLElement} options.overlay - The .context-lost-overlay
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.canvas = renderer.domElement;
+    this.overlay = options.overlay || null;
+    this.reloadButton = this.overlay?.querySelector('button') || null;
+    this.lost = false;
+    this.reloadTimer = 0;
+
+    this.config = {
+      reloadAfter: 5000, // ms before offering a reload
+    };
+
+    this.callbacks = {
+      onLost: [],
+      onRestored: [],
+    };
+
+    this.handleLost = this.handleLost.bind(this);
+    this.handleRestored = this.handleRestored.bind(this);
+    this.handleReload = this.handleReload.bind(this);
+
+    this.canvas.addEventListener('webglcontextlost', this.handleLost, false);
+    this.canvas.addEventListener('webglcontextrestored', this.handleRestored, false);
+    this.reloadButton?.addEventListener('click', this.handleReload);
+  }
+
+  handleLost(event) {
+    event.preventDefault(); // Without this the browser never restores the context
+    if (this.lost) return;
+    this.lost = true;
+
+    console.warn('[Context] WebGL context lost; rendering paused');
+    this.showOverlay();
+    this.callbacks.onLost.forEach(cb => cb());
+  }
+
+  handleRestored() {
+    if (!this.lost) return;
+    this.lost = false;
+
+    console.log('[Context] WebGL context restored; rebuilding');
+    try {
+      this.callbacks.onRestored.forEach(cb => cb());
+    } catch (error) {
+      console.error('[Context] Rebuild after restore failed', error);
+      this.showReload();
+      return;
+    }
+    this.hideOverlay();
+  }
+
+  handleReload() {
+    window.location.reload();
+  }
+
+  showOverlay() {
+    this.canvas.classList.add('context-lost');
+    if (!this.overlay) return;
+    this.overlay.hidden = false;
+    if (this.reloadButton) this.reloadButton.hidden = true;
+
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(() => this.showReload(), this.config.reloadAfter);
+  }
+
+  showReload() {
+    if (this.reloadButton) this.reloadButton.hidden = false;
+  }
+
+  hideOverlay() {
+    clearTimeout(this.reloadTimer);
+    this.canvas.classList.remove('context-lost');
+    if (this.overlay) this.overlay.hidden = true;
+  }
+
+  /**
+   * Lose and restore the context on purpose, to exercise recovery
+   * @param {number} duration - ms to stay lost
+   */
+  simulate(duration = 1000) {
+    const extension = this.renderer.getContext().getExtension('WEBGL_lose_context');
+    if (!extension) {
+      console.warn('[Context] WEBGL_lose_context is unavailable');
+      return;
+    }
+    extension.loseContext();
+    setTimeout(() => extension.restoreContext(), duration);
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    clearTimeout(this.reloadTimer);
+    this.canvas.removeEventListener('webglcontextlost', this.handleLost, false);
+    this.canvas.removeEventListener('webglcontextrestored', this.handleRestored, false);
+    this.reloadButton?.removeEventListener('click', this.handleReload);
+  }
+}
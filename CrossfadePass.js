@@ -0,0 +1,111 @@
+/**
+ * CROSSFADE PASS - Cut Dissolve
+ *
+ * Keeps a copy of the last frame it saw. start() freezes that copy and
+ * dissolves from it to the live image, so a hard camera cut reads as a
+ * crossfade. Used by reduced motion in place of flythroughs.
+ */
+
+import * as THREE from './vendor/three.module.js';
+import { Pass, FullScreenQuad } from './vendor/postprocessing/Pass.js';
+import { CopyShader } from './vendor/shaders/CopyShader.js';
+
+const CrossfadeShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    tHeld: { value: null },
+    amount: { value: 0 },
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform sampler2D tHeld;
+    uniform float amount;
+    varying vec2 vUv;
+    void main() {
+      gl_FragColor = mix(texture2D(tDiffuse, vUv), texture2D(tHeld, vUv), amount);
+    }
+  `,
+};
+
+export class CrossfadePass extends Pass {
+  constructor(options = {}) {
+    super();
+
+    this.duration = options.duration ?? 0.6;
+    this.amount = 0; // 1 = all held frame, 0 = all live frame
+
+    this.heldTarget = new THREE.WebGLRenderTarget(1, 1, {
+      minFilter: THREE.LinearFilter,
+      magFilter: THREE.LinearFilter,
+      format: THREE.RGBAFormat,
+    });
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(CrossfadeShader.uniforms),
+      vertexShader: CrossfadeShader.vertexShader,
+      fragmentShader: CrossfadeShader.fragmentShader,
+    });
+    this.copyMaterial = new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(CopyShader.uniforms),
+      vertexShader: CopyShader.vertexShader,
+      fragmentShader: CopyShader.fragmentShader,
+    });
+
+    this.fsQuad = new FullScreenQuad(this.material);
+  }
+
+  /**
+   * Begin dissolving from the held (previous) frame
+   */
+  start(duration = this.duration) {
+    this.duration = duration;
+    this.amount = 1;
+  }
+
+  /**
+   * Advance the dissolve on the frame clock
+   */
+  update(deltaTime) {
+    if (this.amount <= 0) return;
+    this.amount = Math.max(0, this.amount - deltaTime / Math.max(this.duration, 1e-3));
+  }
+
+  render(renderer, writeBuffer, readBuffer) {
+    this.material.uniforms.tDiffuse.value = readBuffer.texture;
+    this.material.uniforms.tHeld.value = this.heldTarget.texture;
+    // Smoothstep so the dissolve eases at both ends
+    const t = this.amount;
+    this.material.uniforms.amount.value = t * t * (3 - 2 * t);
+
+    this.fsQuad.material = this.material;
+    renderer.setRenderTarget(this.renderToScreen ? null : writeBuffer);
+    if (this.clear) renderer.clear();
+    this.fsQuad.render(renderer);
+
+    // Keep the held frame current until a dissolve freezes it
+    if (this.amount <= 0) {
+      this.copyMaterial.uniforms.tDiffuse.value = readBuffer.texture;
+      this.fsQuad.material = this.copyMaterial;
+      renderer.setRenderTarget(this.heldTarget);
+      this.fsQuad.render(renderer);
+    }
+  }
+
+  setSize(width, height) {
+    this.heldTarget.setSize(width, height);
+  }
+
+  dispose() {
+    this.heldTarget.dispose();
+    this.material.dispose();
+    this.copyMaterial.dispose();
+    this.fsQuad.dispose();
+  }
+}
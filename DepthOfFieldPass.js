@@ -0,0 +1,38 @@
+/**
+ * DEPTH OF FIELD PASS - Focus Pulls
+ *
+ * The vendored BokehPass, made to sit mid-chain: it swaps buffers so the
+ * passes after it see the blurred image, and its depth target and aspect
+ * follow the composer's size. Focus is set each frame from
+ * CameraDirector.focus (a view-space distance, aperture and maxblur).
+ */
+
+import { BokehPass } from './vendor/postprocessing/BokehPass.js';
+
+export class DepthOfFieldPass extends BokehPass {
+  constructor(scene, camera, params = {}) {
+    super(scene, camera, params);
+    this.needsSwap = true;
+  }
+
+  /**
+   * @param {{distance: number, aperture: number, maxblur: number}} focus
+   */
+  setFocus(focus) {
+    this.uniforms.focus.value = focus.distance;
+    this.uniforms.aperture.value = focus.aperture;
+    this.uniforms.maxblur.value = focus.maxblur;
+  }
+
+  setSize(width, height) {
+    this.renderTargetDepth.setSize(width, height);
+    this.uniforms.aspect.value = this.camera.aspect;
+  }
+
+  dispose() {
+    this.renderTargetDepth.dispose();
+    this.materialDepth.dispose();
+    this.materialBokeh.dispose();
+    this.fsQuad.dispose();
+  }
+}
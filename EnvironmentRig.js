@@ -0,0 +1,349 @@
+/**
+ * ENVIRONMENT RIG - Image-Based Lighting
+ *
+ * Gives PBR materials something to reflect: HDR panoramas loaded with
+ * RGBELoader and prefiltered with PMREMGenerator into scene.environment.
+ *
+ * - Each scene may set environment: { map, rotation, intensity } in its
+ *   manifest (rotation in degrees about Y); unset fields use config defaults
+ * - Rotation and intensity are baked into the prefiltered map, so every
+ *   distinct scene setup is one PMREM bake, made once its HDR arrives
+ * - Between scenes the two prefiltered maps are mixed texel by texel into
+ *   a third target, on the same scroll curve as LightingRig, and only while
+ *   the mix amount is changing
+ * - Until an HDR loads, or if it fails, a neutral dark studio map stands in
+ * - Loaded HDRs stay in memory so restore() can re-bake after a context loss
+ */
+
+import * as THREE from './vendor/three.module.js';
+import { RGBELoader } from './vendor/loaders/RGBELoader.js';
+import { FullScreenQuad } from './vendor/postprocessing/Pass.js';
+
+// PMREM targets are RGBE encoded in 8-bit channels; mix in linear light
+const BLEND_SHADER = {
+  uniforms: {
+    envA: { value: null },
+    envB: { value: null },
+    amount: { value: 0 },
+  },
+  vertexShader: `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `,
+  fragmentShader: `
+    uniform sampler2D envA;
+    uniform sampler2D envB;
+    uniform float amount;
+    varying vec2 vUv;
+
+    vec3 decodeRGBE(vec4 value) {
+      return value.rgb * exp2(value.a * 255.0 - 128.0);
+    }
+
+    vec4 encodeRGBE(vec3 color) {
+      float maxComponent = max(max(color.r, color.g), color.b);
+      float exponent = clamp(ceil(log2(maxComponent)), -128.0, 127.0);
+      return vec4(color / exp2(exponent), (exponent + 128.0) / 255.0);
+    }
+
+    void main() {
+      vec3 a = decodeRGBE(texture2D(envA, vUv));
+      vec3 b = decodeRGBE(texture2D(envB, vUv));
+      gl_FragColor = encodeRGBE(mix(a, b, amount));
+    }
+  `,
+};
+
+export class EnvironmentRig {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {THREE.Scene} scene
+   * @param {SceneManager} sceneManager
+   * @param {Object} options - { loadingManager }
+   */
+  constructor(renderer, scene, sceneManager, options = {}) {
+    this.renderer = renderer;
+    this.scene = scene;
+    this.sceneManager = sceneManager;
+    this.loader = new RGBELoader(options.loadingManager);
+
+    this.pmrem = null;
+    this.neutral = null;
+    this.hdrs = new Map(); // url -> DataTexture
+    this.loads = new Map(); // url -> { state, bytes }
+    this.targets = new Map(); // setup key -> PMREM render target
+    this.blendTarget = null;
+    this.blendQuad = null;
+    this.blended = { from: null, to: null, amount: -1 };
+    this.ready = null;
+
+    this.config = {
+      map: 'studio.hdr', // Used by scenes that don't name one
+      rotation: 0, // Degrees about Y
+      intensity: 1,
+      sphereRadius: 50, // Panorama sphere the PMREM bake renders from
+    };
+
+    this.callbacks = {
+      onProgress: [], // (progress) - see getProgress()
+      onLoad: [],     // (url, fallback)
+    };
+  }
+
+  /**
+   * Start with the neutral map and load every HDR the manifest uses
+   * @returns {Promise} Settles once every HDR has loaded (or failed)
+   */
+  init() {
+    this.pmrem = new THREE.PMREMGenerator(this.renderer);
+    this.neutral = this.bakeNeutral();
+    this.scene.environment = this.neutral.texture;
+    this.createBlendTarget();
+
+    const urls = [...new Set(this.sceneManager.scenes.map(scene => this.resolve(scene).map))];
+    urls.forEach(url => this.loads.set(url, { state: 'loading', bytes: null }));
+    this.reportProgress();
+
+    this.ready = Promise.all(urls.map(url => this.loadMap(url)));
+    return this.ready;
+  }
+
+  loadMap(url) {
+    const load = this.loads.get(url);
+
+    return new Promise((resolve, reject) => {
+      this.loader.load(url, resolve, (event) => {
+        if (!event.lengthComputable) return;
+        load.bytes = { loaded: event.loaded, total: event.total };
+        this.reportProgress();
+      }, reject);
+    }).then((texture) => {
+      if (!this.pmrem) {
+        texture.dispose();
+        return;
+      }
+      this.hdrs.set(url, texture);
+      this.bakeScenes(url);
+      load.state = 'loaded';
+      this.callbacks.onLoad.forEach(cb => cb(url, false));
+    }).catch((error) => {
+      console.error(`[Environment] Could not load ${url}; using the neutral environment`, error);
+      load.state = 'failed';
+      this.callbacks.onLoad.forEach(cb => cb(url, true));
+    }).finally(() => this.reportProgress());
+  }
+
+  /**
+   * Prefilter every scene setup that uses this HDR
+   */
+  bakeScenes(url) {
+    this.sceneManager.scenes.forEach((scene) => {
+      const setup = this.resolve(scene);
+      if (setup.map !== url || this.targets.has(setup.key)) return;
+      this.targets.set(setup.key, this.bake(this.hdrs.get(url), setup));
+    });
+    this.blended.amount = -1;
+  }
+
+  /**
+   * Scene's environment with defaults filled in
+   */
+  resolve(scene) {
+    const env = scene.environment || {};
+    const map = env.map ?? this.config.map;
+    const rotation = env.rotation ?? this.config.rotation;
+    const intensity = env.intensity ?? this.config.intensity;
+    return { map, rotation, intensity, key: `${map}|${rotation}|${intensity}` };
+  }
+
+  /**
+   * PMREM of a panorama turned and scaled as the setup asks
+   */
+  bake(texture, setup) {
+    const geometry = new THREE.SphereGeometry(this.config.sphereRadius, 64, 32);
+    geometry.scale(-1, 1, 1); // Seen from inside without mirroring the panorama
+    const material = new THREE.MeshBasicMaterial({ map: texture, fog: false, depthWrite: false });
+    material.color.setScalar(setup.intensity);
+
+    const sphere = new THREE.Mesh(geometry, material);
+    sphere.rotation.y = THREE.MathUtils.degToRad(setup.rotation);
+    const bakeScene = new THREE.Scene();
+    bakeScene.add(sphere);
+
+    const target = this.pmrem.fromScene(bakeScene, 0, 0.1, this.config.sphereRadius * 2);
+    geometry.dispose();
+    material.dispose();
+    return target;
+  }
+
+  bakeNeutral() {
+    const neutralScene = new THREE.Scene();
+    neutralScene.background = new THREE.Color(0x111111);
+    return this.pmrem.fromScene(neutralScene);
+  }
+
+  /**
+   * Target the crossfade writes into; same layout and encoding as a PMREM
+   */
+  createBlendTarget() {
+    const { width, height } = this.neutral;
+    this.blendTarget = new THREE.WebGLRenderTarget(width, height, {
+      magFilter: THREE.NearestFilter,
+      minFilter: THREE.NearestFilter,
+      generateMipmaps: false,
+      type: THREE.UnsignedByteType,
+      format: THREE.RGBEFormat,
+      encoding: THREE.RGBEEncoding,
+      depthBuffer: false,
+    });
+    this.blendTarget.texture.mapping = THREE.CubeUVReflectionMapping;
+    this.blendTarget.texture.name = 'EnvironmentRig.blend';
+
+    this.blendQuad = new FullScreenQuad(new THREE.ShaderMaterial({
+      uniforms: THREE.UniformsUtils.clone(BLEND_SHADER.uniforms),
+      vertexShader: BLEND_SHADER.vertexShader,
+      fragmentShader: BLEND_SHADER.fragmentShader,
+      depthTest: false,
+      depthWrite: false,
+      blending: THREE.NoBlending,
+    }));
+  }
+
+  /**
+   * Re-bake every map after a WebGL context loss; the PMREM targets only
+   * ever existed on the GPU
+   */
+  restore() {
+    if (!this.pmrem) return;
+    this.targets.forEach(target => target.dispose());
+    this.targets.clear();
+    this.neutral.dispose();
+    this.blendTarget.dispose();
+    this.blendQuad.material.dispose();
+    this.pmrem.dispose();
+
+    this.pmrem = new THREE.PMREMGenerator(this.renderer);
+    this.neutral = this.bakeNeutral();
+    this.scene.environment = this.neutral.texture;
+    this.createBlendTarget();
+    this.hdrs.forEach((texture, url) => this.bakeScenes(url));
+    this.blended = { from: null, to: null, amount: -1 };
+  }
+
+  /**
+   * Follow scroll: one scene's map, or a mix of two mid-transition
+   * @param {number} scrollProgress - 0 to 1
+   */
+  update(scrollProgress) {
+    if (!this.pmrem) return;
+    const { scene, nextScene, amount } = this.sceneManager.getSceneBlend(scrollProgress);
+    const from = this.getTarget(scene);
+    const to = nextScene ? this.getTarget(nextScene) : from;
+
+    if (from === to || amount <= 0) {
+      this.setEnvironment(from.texture);
+      return;
+    }
+    if (amount >= 1) {
+      this.setEnvironment(to.texture);
+      return;
+    }
+
+    const blended = this.blended;
+    if (blended.from !== from || blended.to !== to || Math.abs(blended.amount - amount) > 0.002) {
+      this.renderBlend(from, to, amount);
+    }
+    this.setEnvironment(this.blendTarget.texture);
+  }
+
+  getTarget(scene) {
+    return this.targets.get(this.resolve(scene).key) || this.neutral;
+  }
+
+  renderBlend(from, to, amount) {
+    const uniforms = this.blendQuad.material.uniforms;
+    uniforms.envA.value = from.texture;
+    uniforms.envB.value = to.texture;
+    uniforms.amount.value = amount;
+
+    const previousTarget = this.renderer.getRenderTarget();
+    this.renderer.setRenderTarget(this.blendTarget);
+    this.blendQuad.render(this.renderer);
+    this.renderer.setRenderTarget(previousTarget);
+
+    this.blended = { from, to, amount };
+  }
+
+  setEnvironment(texture) {
+    if (this.scene.environment !== texture) this.scene.environment = texture;
+  }
+
+  /**
+   * HDR download state, in the same shape as SceneAssetLoader.getProgress()
+   */
+  getProgress() {
+    let loaded = 0;
+    let failed = 0;
+    let sum = 0;
+    let bytesLoaded = 0;
+    let bytesTotal = 0;
+    this.loads.forEach((load) => {
+      const settled = load.state !== 'loading';
+      if (settled) loaded++;
+      if (load.state === 'failed') failed++;
+      if (load.bytes) {
+        bytesLoaded += settled ? load.bytes.total : load.bytes.loaded;
+        bytesTotal += load.bytes.total;
+      }
+      sum += settled ? 1 : (load.bytes ? load.bytes.loaded / load.bytes.total : 0);
+    });
+
+    const total = this.loads.size;
+    return {
+      state: loaded === total ? 'loaded' : 'loading',
+      loaded,
+      failed,
+      total,
+      progress: total ? sum / total : 1,
+      bytesLoaded,
+      bytesTotal,
+    };
+  }
+
+  reportProgress() {
+    const progress = this.getProgress();
+    this.callbacks.onProgress.forEach(cb => cb(progress));
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    if (this.scene.environment === this.neutral?.texture ||
+        this.scene.environment === this.blendTarget?.texture ||
+        [...this.targets.values()].some(target => target.texture === this.scene.environment)) {
+      this.scene.environment = null;
+    }
+    this.targets.forEach(target => target.dispose());
+    this.targets.clear();
+    this.hdrs.forEach(texture => texture.dispose());
+    this.hdrs.clear();
+    this.neutral?.dispose();
+    this.blendTarget?.dispose();
+    this.blendQuad?.material.dispose();
+    this.pmrem?.dispose();
+    this.neutral = null;
+    this.blendTarget = null;
+    this.blendQuad = null;
+    this.pmrem = null;
+  }
+}
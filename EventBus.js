@@ -0,0 +1,151 @@
+/**
+ * EVENT BUS - App-Wide Lifecycle Events
+ *
+ * One place to hear what the experience is doing, for modules and for page
+ * code outside the module graph alike.
+ *
+ * - Typed: only names in the registry can be emitted or listened to;
+ *   a typo throws instead of silently never firing (define() adds names)
+ * - on() and once() return an unsubscribe function; off() also works
+ * - Wildcards: '*' hears everything, 'scene:*' a whole namespace
+ * - Bridge: every event is re-dispatched on window as a CustomEvent named
+ *   `cinematic:<type>` with the payload in `detail`, e.g.
+ *   window.addEventListener('cinematic:scene:enter', (e) => e.detail.scene.name)
+ *
+ * Listeners receive (detail, type).
+ */
+
+export const EVENT_TYPES = [
+  'scene:enter',          // { scene, index, direction } - became the active scene
+  'scene:exit',           // { scene, index, direction } - stopped being the active scene
+  'scene:hold',           // { scene, index } - settled, nothing in flight
+  'transition:start',     // { from, to, fromIndex, toIndex, direction, reversed, forced }
+  'transition:progress',  // { from, to, fromIndex, toIndex, phase, progress } - every frame in flight
+  'transition:end',       // { from, to, fromIndex, toIndex, direction }
+  'quality:change',       // { tier, previous, reason, fps, preset }
+  'asset:loaded',         // { name, type, scene, index, fallback }
+  'asset:progress',       // { scene, index, state, loaded, total, progress } - per-scene load state
+  'asset:unloaded',       // { scene, index } - a scene's assets were freed
+  'interaction:hover',    // { source: 'dom' | 'scene', target, hovering }
+  'interaction:click',    // { source: 'dom' | 'scene', target, point? }
+  'context:lost',         // {} - WebGL context gone; rendering paused
+  'context:restored',     // {} - GPU state rebuilt; rendering resumed
+];
+
+const DEFAULT_BRIDGE_PREFIX = 'cinematic:';
+
+export class EventBus {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.types - Event registry (defaults to EVENT_TYPES)
+   * @param {EventTarget|null} options.bridge - Where CustomEvents are re-dispatched; null disables
+   * @param {string} options.bridgePrefix
+   */
+  constructor(options = {}) {
+    this.types = new Set(options.types || EVENT_TYPES);
+    this.bridge = options.bridge === undefined ? (typeof window !== 'undefined' ? window : null) : options.bridge;
+    this.bridgePrefix = options.bridgePrefix ?? DEFAULT_BRIDGE_PREFIX;
+    this.listeners = new Map(); // type or pattern -> [listener]
+  }
+
+  /**
+   * Add event names to the registry
+   */
+  define(...types) {
+    types.forEach(type => this.types.add(type));
+  }
+
+  /**
+   * @param {string} type - Event name, 'namespace:*' or '*'
+   * @param {Function} listener - (detail, type)
+   * @returns {Function} Unsubscribe
+   */
+  on(type, listener) {
+    this.assertKnown(type, true);
+    if (typeof listener !== 'function') {
+      throw new TypeError(`[EventBus] Listener for "${type}" is not a function`);
+    }
+
+    // Replace rather than mutate, so emits already iterating are unaffected
+    this.listeners.set(type, [...(this.listeners.get(type) || []), listener]);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Listen for the next matching event only
+   * @returns {Function} Unsubscribe (before it fires)
+   */
+  once(type, listener) {
+    const wrapper = (detail, eventType) => {
+      this.off(type, wrapper);
+      listener(detail, eventType);
+    };
+    wrapper.listener = listener;
+    return this.on(type, wrapper);
+  }
+
+  /**
+   * Remove a listener added with on() or once()
+   */
+  off(type, listener) {
+    const list = this.listeners.get(type);
+    if (!list) return;
+
+    const remaining = list.filter(cb => cb !== listener && cb.listener !== listener);
+    if (remaining.length) {
+      this.listeners.set(type, remaining);
+    } else {
+      this.listeners.delete(type);
+    }
+  }
+
+  /**
+   * Notify exact, namespace and global listeners, then the window bridge
+   */
+  emit(type, detail = {}) {
+    this.assertKnown(type, false);
+
+    const namespace = `${type.split(':')[0]}:*`;
+    [type, namespace, '*'].forEach((key) => {
+      const list = this.listeners.get(key);
+      if (!list) return;
+      list.forEach((listener) => {
+        try {
+          listener(detail, type);
+        } catch (error) {
+          // One broken listener must not starve the rest (or the render loop)
+          console.error(`[EventBus] Listener for "${type}" threw`, error);
+        }
+      });
+    });
+
+    if (this.bridge && typeof CustomEvent !== 'undefined') {
+      this.bridge.dispatchEvent(new CustomEvent(`${this.bridgePrefix}${type}`, { detail }));
+    }
+  }
+
+  /**
+   * True if anything, including a wildcard, would hear this event
+   */
+  hasListeners(type) {
+    return this.listeners.has(type) || this.listeners.has(`${type.split(':')[0]}:*`) || this.listeners.has('*');
+  }
+
+  assertKnown(type, allowPattern) {
+    if (allowPattern && type === '*') return;
+    if (allowPattern && type.endsWith(':*')) {
+      const prefix = type.slice(0, -1);
+      if ([...this.types].some(known => known.startsWith(prefix))) return;
+    } else if (this.types.has(type)) {
+      return;
+    }
+    throw new Error(`[EventBus] Unknown event "${type}". Known: ${[...this.types].join(', ')}`);
+  }
+
+  /**
+   * Drop every listener
+   */
+  clear() {
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,324 @@
+/**
+ * FRAME CAPTURE - Deterministic Offline Renderer
+ *
+ * Takes over the experience's clock so every frame is a pure function of its
+ * index, then renders each one through the EffectComposer at an arbitrary
+ * resolution and saves it as a PNG.
+ *
+ * Determinism:
+ * - Fixed timestep replaces THREE.Clock and requestAnimationFrame
+ * - Scroll progress follows a scripted curve instead of the window
+ * - GSAP is ticked manually on the same timestep
+ * - The experience's SeededRandom falls back to the capture seed, so orbit
+ *   speeds, particle fields and shake offsets repeat run to run
+ * - Capture started at boot (?capture) is exact; one started mid-session
+ *   resets transitions and input but inherits accumulated scene state
+ */
+
+import { gsap } from './vendor/gsap/index.js';
+
+/**
+ * Named scroll curves, t (0-1 through the capture) -> scroll progress
+ */
+export const SCROLL_CURVES = {
+  linear: (t) => t,
+  easeInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  // Ease through each quarter so every scene gets a hold. Captures replace
+  // this with the experience's measured scene spans (see createSceneCurve)
+  scenes: (t) => {
+    const steps = 4;
+    const index = Math.min(steps - 1, Math.floor(t * steps));
+    const local = t * steps - index;
+    return (index + SCROLL_CURVES.easeInOut(local)) / steps;
+  },
+};
+
+const DEFAULT_CAPTURE = {
+  fps: 30,
+  duration: 12,          // Seconds of experience time
+  width: 1920,
+  height: 1080,
+  seed: 1,               // Used when the experience isn't given ?seed= or a seed option
+  scroll: 'easeInOut',   // Curve name, function, or [[t, progress], ...] keyframes
+  format: 'zip',         // 'zip' for one archive, 'png' for one download per frame
+  filename: 'frame',
+  download: true,
+};
+
+export class FrameCapture {
+  /**
+   * @param {CinematicExperience} app
+   * @param {Object} options - See DEFAULT_CAPTURE
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.options = { ...DEFAULT_CAPTURE, ...options };
+    this.curve = null; // Resolved in run(), once the scenes are loaded
+
+    this.frames = [];
+    this.isCapturing = false;
+    this.cancelled = false;
+
+    this.callbacks = {
+      onFrame: [],
+      onComplete: [],
+    };
+  }
+
+  /**
+   * Parse capture options from the query string, e.g.
+   * ?capture&fps=60&duration=8&width=3840&height=2160&curve=scenes&format=png
+   * (?seed= is read by the experience itself)
+   * @returns {Object|null} Options, or null when capture isn't requested
+   */
+  static fromURL(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    if (!params.has('capture')) return null;
+
+    // Anything but a positive number (fps=, fps=0, width=-1) keeps the default
+    const options = {};
+    ['fps', 'duration', 'width', 'height'].forEach((key) => {
+      if (!params.has(key)) return;
+      const value = Number(params.get(key));
+      if (Number.isFinite(value) && value > 0) {
+        options[key] = value;
+      } else {
+        console.warn(`[Capture] Ignoring ${key}=${params.get(key)}; using ${DEFAULT_CAPTURE[key]}`);
+      }
+    });
+    if (params.has('curve')) options.scroll = params.get('curve');
+    if (params.has('format')) options.format = params.get('format');
+    return options;
+  }
+
+  /**
+   * Render every frame and deliver the PNGs
+   * @returns {Promise<Array<{name: string, blob: Blob}>>}
+   */
+  async run() {
+    const { app } = this;
+    const { fps, duration, width, height, filename } = this.options;
+    const frameCount = Math.max(1, Math.round(duration * fps));
+    const timestep = 1 / fps;
+    const digits = String(frameCount).length;
+
+    await app.whenAssetsSettled();
+    if (app.isDisposed) return [];
+
+    console.log(`[Capture] Rendering ${frameCount} frames at ${width}x${height}, ${fps} fps`);
+    this.curve = resolveScrollCurve(this.options.scroll, app.sceneManager);
+
+    this.isCapturing = true;
+    this.cancelled = false;
+    this.frames = [];
+
+    // Take the clock away from rAF and GSAP's ticker
+    app.stopLoop();
+    gsap.ticker.remove(gsap.updateRoot);
+    const gsapStart = gsap.ticker.time;
+
+    app.setRenderOverride({ width, height, pixelRatio: 1 });
+    app.transitionEngine.reset();
+    app.cameraDirector.reset();
+    app.scrollProgress = app.targetScrollProgress = this.curve(0);
+
+    try {
+      for (let i = 0; i < frameCount && !this.cancelled && !app.isDisposed; i++) {
+        const time = i * timestep;
+        const progress = this.curve(frameCount > 1 ? i / (frameCount - 1) : 0);
+
+        app.scrollProgress = app.targetScrollProgress = progress;
+        this.neutralizeInput();
+        gsap.updateRoot(gsapStart + time);
+        app.step(timestep, time);
+
+        const blob = await canvasToBlob(app.renderer.domElement);
+        const frame = { name: `${filename}-${String(i).padStart(digits, '0')}.png`, blob };
+        this.frames.push(frame);
+        this.callbacks.onFrame.forEach(cb => cb(frame, i, frameCount));
+      }
+    } finally {
+      gsap.ticker.add(gsap.updateRoot);
+      app.setRenderOverride(null);
+      app.sceneAssets?.unpin();
+      this.isCapturing = false;
+      if (!app.isDisposed) app.startLoop();
+    }
+
+    console.log(`[Capture] ${this.frames.length} frames rendered`);
+
+    if (this.options.download && this.frames.length) {
+      await this.deliver(this.frames);
+    }
+    this.callbacks.onComplete.forEach(cb => cb(this.frames));
+    return this.frames;
+  }
+
+  /**
+   * Stop after the frame in flight
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Pointer input would make frames depend on where the mouse happened to be
+   */
+  neutralizeInput() {
+    this.app.mouse.set(0, 0);
+    this.app.cameraDirector.mouse = { x: 0, y: 0 };
+    this.app.cameraDirector.mouseVelocity = { x: 0, y: 0 };
+  }
+
+  /**
+   * Download frames as one zip or as individual PNGs
+   */
+  async deliver(frames) {
+    if (this.options.format === 'png') {
+      frames.forEach((frame) => downloadBlob(frame.blob, frame.name));
+      return;
+    }
+    const zip = await createZip(frames);
+    downloadBlob(zip, `${this.options.filename}s.zip`);
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+}
+
+/**
+ * Turn a curve option into t -> progress, clamped to 0-1
+ */
+function resolveScrollCurve(scroll, sceneManager) {
+  let curve = SCROLL_CURVES.easeInOut;
+
+  if (scroll === 'scenes' && sceneManager?.scenes.length) {
+    curve = createSceneCurve(sceneManager);
+  } else if (typeof scroll === 'function') {
+    curve = scroll;
+  } else if (Array.isArray(scroll) && scroll.length) {
+    // Keyframes: [[t, progress], ...] sorted by t, linearly interpolated
+    const keys = [...scroll].sort((a, b) => a[0] - b[0]);
+    curve = (t) => {
+      if (t <= keys[0][0]) return keys[0][1];
+      for (let i = 1; i < keys.length; i++) {
+        const [t1, p1] = keys[i];
+        const [t0, p0] = keys[i - 1];
+        if (t <= t1) return p0 + (p1 - p0) * ((t - t0) / Math.max(1e-6, t1 - t0));
+      }
+      return keys[keys.length - 1][1];
+    };
+  } else if (SCROLL_CURVES[scroll]) {
+    curve = SCROLL_CURVES[scroll];
+  } else if (scroll !== undefined) {
+    console.warn(`[Capture] Unknown scroll curve "${scroll}", using easeInOut`);
+  }
+
+  return (t) => Math.min(1, Math.max(0, curve(t)));
+}
+
+/**
+ * Equal time per scene, eased across each scene's own scroll span
+ */
+function createSceneCurve(sceneManager) {
+  const count = sceneManager.scenes.length;
+  return (t) => {
+    const index = Math.min(count - 1, Math.floor(t * count));
+    return sceneManager.getSceneProgress(index, SCROLL_CURVES.easeInOut(t * count - index));
+  };
+}
+
+/**
+ * toBlob snapshots the drawing buffer synchronously, so it must be called
+ * in the same task as the render
+ */
+function canvasToBlob(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas capture failed'))), 'image/png');
+  });
+}
+
+function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Minimal zip writer using the STORE method (PNGs are already compressed)
+ * @param {Array<{name: string, blob: Blob}>} files
+ * @returns {Promise<Blob>}
+ */
+async function createZip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = new Uint8Array(await file.blob.arrayBuffer());
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true);  // Local file header signature
+    local.setUint16(4, 20, true);          // Version needed
+    local.setUint16(12, 0x21, true);       // Date: 1980-01-01
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, name.length, true);
+    parts.push(local, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014B50, true);  // Central directory signature
+    entry.setUint16(4, 20, true);          // Version made by
+    entry.setUint16(6, 20, true);          // Version needed
+    entry.setUint16(14, 0x21, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);     // Local header offset
+    central.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true);      // End of central directory signature
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
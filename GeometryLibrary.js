@@ -17,11 +17,34 @@
  */
 
 import * as THREE from './vendor/three.module.js';
+import { SeededRandom } from './SeededRandom.js';
+
+// Hero cluster centre; the shark swims around it
+const HERO_ORIGIN = [-2.5, 1.2, -11];
+
+/**
+ * Object factories a scene manifest may reference by name.
+ * Each is called with the owning scene's name.
+ */
+export const SCENE_FACTORIES = [
+  'createHeroCluster',
+  'createPhilosophyElements',
+  'createServiceConstellation',
+  'createContactPortal',
+];
 
 export class GeometryLibrary {
-  constructor(scene, sceneManager) {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {SceneManager} sceneManager
+   * @param {SeededRandom} random
+   * @param {Object} options - { loadingManager } shared by model loaders
+   */
+  constructor(scene, sceneManager, random = new SeededRandom(), options = {}) {
     this.scene = scene;
     this.sceneManager = sceneManager;
+    this.random = random;
+    this.loadingManager = options.loadingManager || THREE.DefaultLoadingManager;
     this.geometries = {};
     this.materials = {};
     this.objects = {};
@@ -111,11 +134,12 @@ export class GeometryLibrary {
    * Create hero geometry cluster for Scene 1
    * Primary brand identity object
    */
-  createHeroCluster() {
+  createHeroCluster(sceneName = 'hero') {
     const group = new THREE.Group();
     group.name = 'heroCluster';
+    group.userData.sceneName = sceneName;
 
-    const heroOrigin = new THREE.Vector3(-2.5, 1.2, -11);
+    const heroOrigin = new THREE.Vector3(...HERO_ORIGIN);
 
     // Signature hero cluster with layered forms
     const heroCore = new THREE.Group();
@@ -143,6 +167,7 @@ export class GeometryLibrary {
 
     // Orbiting satellites
     const satelliteGeo = new THREE.TorusKnotGeometry(0.35, 0.08, 180, 24);
+    const satelliteRandom = this.random.fork('satellites');
     for (let i = 0; i < 5; i++) {
       const satellite = new THREE.Mesh(satelliteGeo, this.materials.secondary.clone());
       satellite.material.color.setHex(0x9D4EDD); // Purple
@@ -155,7 +180,7 @@ export class GeometryLibrary {
       );
       satellite.userData.orbitAngle = angle;
       satellite.userData.orbitRadius = radius;
-      satellite.userData.orbitSpeed = 0.3 + Math.random() * 0.2;
+      satellite.userData.orbitSpeed = satelliteRandom.range(0.3, 0.5);
       satellite.userData.orbitCenter = heroOrigin.clone();
       group.add(satellite);
     }
@@ -163,10 +188,7 @@ export class GeometryLibrary {
     // Add to scene and register
     this.scene.add(group);
     this.objects.heroCluster = group;
-    this.sceneManager.addObjectToScene('hero', group);
-
-    // Load Space Shark model
-    this.loadSpaceShark(heroOrigin);
+    this.sceneManager.addObjectToScene(sceneName, group);
 
     return group;
   }
@@ -179,16 +201,26 @@ export class GeometryLibrary {
    * 2. Create a /models folder in your project root
    * 3. Place the .glb file as: /models/space-shark.glb
    * 4. Make sure GLTFLoader is available in your Three.js build
+   *
+   * @param {Function} onProgress - (0-1, { loaded, total }) in bytes while the model downloads
+   * @returns {Promise<THREE.Object3D>} Rejects if the model can't load;
+   *   createFallbackShark() stands in (see SceneAssets fallbacks)
    */
-  loadSpaceShark(position) {
+  loadSpaceShark(sceneName = 'hero', onProgress = null) {
+    const position = new THREE.Vector3(...HERO_ORIGIN);
+    
     // Check if GLTFLoader is available
     if (!window.THREE || !window.THREE.GLTFLoader) {
-      console.warn('[GeometryLibrary] GLTFLoader not available, using fallback shark');
-      this.createFallbackShark(position);
-      return;
+      return Promise.reject(new Error('GLTFLoader not available'));
     }
     
-    const loader = new THREE.GLTFLoader();
+    const loader = new window.THREE.GLTFLoader(this.loadingManager);
+    let settle;
+    let fail;
+    const ready = new Promise((resolve, reject) => {
+      settle = resolve;
+      fail = reject;
+    });
     
     // Path to your downloaded Space Shark model
     // Download from: https://sketchfab.com/3d-models/space-shark-cdbde9fd419644e3aeee3318aa7c1d68
@@ -228,36 +260,37 @@ export class GeometryLibrary {
         shark.userData.floatSpeed = 0.8;
         shark.userData.floatAmplitude = 0.6;
         shark.userData.baseY = shark.position.y;
+        shark.userData.sceneName = sceneName;
         
         // Add to scene
         this.scene.add(shark);
         this.objects.spaceShark = shark;
-        this.sceneManager.addObjectToScene('hero', shark);
+        this.sceneManager.addObjectToScene(sceneName, shark);
         
         console.log('[GeometryLibrary] Space Shark loaded successfully');
+        settle(shark);
       },
       (progress) => {
         if (progress.total > 0) {
-          const percentComplete = (progress.loaded / progress.total) * 100;
-          console.log(`[GeometryLibrary] Loading Space Shark: ${percentComplete.toFixed(0)}%`);
+          onProgress?.(progress.loaded / progress.total, { loaded: progress.loaded, total: progress.total });
         }
       },
       (error) => {
-        console.error('[GeometryLibrary] Error loading Space Shark:', error);
         console.log('[GeometryLibrary] Make sure to:');
         console.log('1. Download the model from Sketchfab');
         console.log('2. Place it in /models/space-shark.glb');
         console.log('3. Ensure GLTFLoader is available');
-        // Fallback: Create a simple shark-like geometry
-        this.createFallbackShark(position);
+        fail(error);
       }
     );
+    return ready;
   }
 
   /**
    * Create fallback shark geometry if model fails to load
    */
-  createFallbackShark(position) {
+  createFallbackShark(sceneName = 'hero') {
+    const position = new THREE.Vector3(...HERO_ORIGIN);
     const sharkGroup = new THREE.Group();
     
     // Shark body (elongated sphere)
@@ -289,25 +322,29 @@ export class GeometryLibrary {
     sharkGroup.userData.rotationSpeed = 0.15;
     sharkGroup.userData.floatSpeed = 0.8;
     sharkGroup.userData.floatAmplitude = 0.6;
+    sharkGroup.userData.sceneName = sceneName;
+    sharkGroup.userData.fallback = true;
     
     this.scene.add(sharkGroup);
     this.objects.spaceShark = sharkGroup;
-    this.sceneManager.addObjectToScene('hero', sharkGroup);
+    this.sceneManager.addObjectToScene(sceneName, sharkGroup);
     
     console.log('[GeometryLibrary] Using fallback shark geometry');
+    return sharkGroup;
   }
 
   /**
    * Create floating text planes for Scene 2 (Philosophy)
    */
-  createPhilosophyElements() {
+  createPhilosophyElements(sceneName = 'philosophy') {
     const group = new THREE.Group();
     group.name = 'philosophyGroup';
+    group.userData.sceneName = sceneName;
     group.position.set(0, 0, -95);
 
     this.scene.add(group);
     this.objects.philosophyGroup = group;
-    this.sceneManager.addObjectToScene('philosophy', group);
+    this.sceneManager.addObjectToScene(sceneName, group);
 
     return group;
   }
@@ -316,9 +353,10 @@ export class GeometryLibrary {
    * Create service constellation for Scene 3
    * Interactive node network
    */
-  createServiceConstellation() {
+  createServiceConstellation(sceneName = 'services') {
     const group = new THREE.Group();
     group.name = 'serviceConstellation';
+    group.userData.sceneName = sceneName;
     group.position.set(0, 0, -165);
 
     // Create service nodes in circular arrangement
@@ -326,6 +364,7 @@ export class GeometryLibrary {
     const radius = 5;
     
     const nodeGroups = [];
+    const nodeRandom = this.random.fork('serviceNodes');
     for (let i = 0; i < nodeCount; i++) {
       const angle = (i / nodeCount) * Math.PI * 2;
       const nodeGroup = new THREE.Group();
@@ -345,7 +384,7 @@ export class GeometryLibrary {
       
       nodeGroup.userData.angle = angle;
       nodeGroup.userData.baseY = nodeGroup.position.y;
-      nodeGroup.userData.floatSpeed = 0.5 + Math.random() * 0.3;
+      nodeGroup.userData.floatSpeed = nodeRandom.range(0.5, 0.8);
       
       group.add(nodeGroup);
       nodeGroups.push(nodeGroup);
@@ -376,7 +415,7 @@ export class GeometryLibrary {
 
     this.scene.add(group);
     this.objects.serviceConstellation = group;
-    this.sceneManager.addObjectToScene('services', group);
+    this.sceneManager.addObjectToScene(sceneName, group);
 
     return group;
   }
@@ -384,14 +423,15 @@ export class GeometryLibrary {
   /**
    * Create portal vortex for Scene 4 (Contact)
    */
-  createContactPortal() {
+  createContactPortal(sceneName = 'contact') {
     const group = new THREE.Group();
     group.name = 'contactPortal';
+    group.userData.sceneName = sceneName;
     group.position.set(0, 0, -250);
 
     this.scene.add(group);
     this.objects.contactPortal = group;
-    this.sceneManager.addObjectToScene('contact', group);
+    this.sceneManager.addObjectToScene(sceneName, group);
 
     return group;
   }
@@ -401,6 +441,7 @@ export class GeometryLibrary {
    */
   createParticleLayers() {
     const layers = [];
+    const random = this.random.fork('particleLayers');
     
     // Create 3 depth layers
     for (let layer = 0; layer < 3; layer++) {
@@ -412,10 +453,10 @@ export class GeometryLibrary {
       const depthStart = -layer * depthRange;
       
       for (let i = 0; i < particleCount; i++) {
-        positions[i * 3] = (Math.random() - 0.5) * 50;
-        positions[i * 3 + 1] = (Math.random() - 0.5) * 50;
-        positions[i * 3 + 2] = depthStart + (Math.random() - 0.5) * depthRange;
-        sizes[i] = 0.6 + Math.random() * 0.8;
+        positions[i * 3] = random.centered(50);
+        positions[i * 3 + 1] = random.centered(50);
+        positions[i * 3 + 2] = depthStart + random.centered(depthRange);
+        sizes[i] = random.range(0.6, 1.4);
       }
       
       const particleGeo = new THREE.BufferGeometry();
@@ -474,7 +515,7 @@ export class GeometryLibrary {
       }
       
       // Fade based on scene
-      const visibility = this.sceneManager.getObjectVisibility('hero', scrollProgress);
+      const visibility = this.sceneManager.getObjectVisibility(this.objects.heroCluster.userData.sceneName, scrollProgress);
       this.objects.heroCluster.traverse(child => {
         if (child.material && child.material.opacity !== undefined) {
           child.material.opacity = visibility * 0.85;
@@ -512,7 +553,7 @@ export class GeometryLibrary {
       });
       
       // Fade based on scene visibility
-      const visibility = this.sceneManager.getObjectVisibility('hero', scrollProgress);
+      const visibility = this.sceneManager.getObjectVisibility(shark.userData.sceneName, scrollProgress);
       shark.traverse(child => {
         if (child.material && child.material.transparent) {
           child.material.opacity = visibility * 0.9;
@@ -537,7 +578,7 @@ export class GeometryLibrary {
         this.applyPremiumMicroMotion(ring, time, delta);
       }
       
-      const visibility = this.sceneManager.getObjectVisibility('philosophy', scrollProgress);
+      const visibility = this.sceneManager.getObjectVisibility(this.objects.philosophyGroup.userData.sceneName, scrollProgress);
       this.objects.philosophyGroup.traverse(child => {
         if (child.material && child.material.opacity !== undefined) {
           child.material.opacity = visibility * 0.7;
@@ -556,7 +597,7 @@ export class GeometryLibrary {
         }
       });
       
-      const visibility = this.sceneManager.getObjectVisibility('services', scrollProgress);
+      const visibility = this.sceneManager.getObjectVisibility(this.objects.serviceConstellation.userData.sceneName, scrollProgress);
       this.objects.serviceConstellation.traverse(child => {
         if (child.material && child.material.opacity !== undefined) {
           child.material.opacity = visibility * 0.8;
@@ -577,7 +618,7 @@ export class GeometryLibrary {
         }
       });
       
-      const visibility = this.sceneManager.getObjectVisibility('contact', scrollProgress);
+      const visibility = this.sceneManager.getObjectVisibility(this.objects.contactPortal.userData.sceneName, scrollProgress);
       this.objects.contactPortal.traverse(child => {
         if (child.material && child.material.opacity !== undefined) {
           child.material.opacity = visibility * 0.85;
@@ -600,6 +641,42 @@ export class GeometryLibrary {
     mesh.position.y += Math.sin(time * 0.6 + mesh.id) * 0.12 * delta;
   }
 
+  /**
+   * Remove one object (a scene's assets being unloaded) and free what only
+   * it uses; the library's shared geometries and materials stay for rebuilds
+   */
+  disposeObject(object) {
+    if (!object) return;
+    const shared = new Set([...Object.values(this.geometries), ...Object.values(this.materials)]);
+    const geometries = new Set();
+    const materials = new Set();
+    
+    object.traverse((child) => {
+      if (child.geometry && !shared.has(child.geometry)) geometries.add(child.geometry);
+      const childMaterials = Array.isArray(child.material) ? child.material : [child.material];
+      childMaterials.forEach((material) => {
+        if (material && !shared.has(material)) materials.add(material);
+      });
+    });
+    
+    geometries.forEach(geometry => geometry.dispose());
+    materials.forEach((material) => {
+      // Loaded models bring their own textures
+      Object.values(material).forEach((value) => {
+        if (value?.isTexture) value.dispose();
+      });
+      material.dispose();
+    });
+    
+    if (object.parent) object.parent.remove(object);
+    Object.keys(this.objects).forEach((key) => {
+      if (this.objects[key] === object) delete this.objects[key];
+    });
+    if (object.userData.sceneName) {
+      this.sceneManager.removeObjectFromScene(object.userData.sceneName, object);
+    }
+  }
+
   /**
    * Dispose of all geometries and materials
    */
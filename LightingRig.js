@@ -0,0 +1,161 @@
+/**
+ * LIGHTING RIG - Scene Mood Controller
+ *
+ * Owns the ambient/key/fill/rim/accent/spot lights and drives them from
+ * each scene's manifest lighting. Colour and intensity crossfade between
+ * scenes in step with scroll, on the same curve as the background shader.
+ *
+ * Rig Layout:
+ * - Lights live in one group that follows the camera's focus point,
+ *   so every scene is lit the same way the hero is
+ * - Channels a scene doesn't declare fall back to the rig defaults
+ */
+
+import * as THREE from './vendor/three.module.js';
+
+const DEFAULT_LIGHTING = {
+  ambient: { color: 0x111111, intensity: 1 },
+  key: { color: 0x7B2CBF, intensity: 1.56 },
+  fill: { color: 0x9D4EDD, intensity: 0.3 },
+  rim: { color: 0xffffff, intensity: 0.8 },
+  accent: { color: 0xC77DFF, intensity: 1.5 },
+  spot: { color: 0xffffff, intensity: 1.8 },
+};
+
+export class LightingRig {
+  constructor(scene, sceneManager, options = {}) {
+    this.scene = scene;
+    this.sceneManager = sceneManager;
+    this.quality = options.quality || 'high';
+
+    this.group = new THREE.Group();
+    this.group.name = 'lightingRig';
+    this.lights = {};
+
+    // Scratch colours for crossfades
+    this.fromColor = new THREE.Color();
+    this.toColor = new THREE.Color();
+
+    this.config = {
+      followLerp: 0.08, // How quickly the rig tracks the camera focus
+    };
+
+    this.build();
+  }
+
+  /**
+   * Create rig lights (offsets are relative to the camera focus)
+   */
+  build() {
+    const ambient = new THREE.AmbientLight(DEFAULT_LIGHTING.ambient.color, DEFAULT_LIGHTING.ambient.intensity);
+
+    const key = new THREE.DirectionalLight(DEFAULT_LIGHTING.key.color, DEFAULT_LIGHTING.key.intensity);
+    key.position.set(10, 10, 10);
+
+    const fill = new THREE.DirectionalLight(DEFAULT_LIGHTING.fill.color, DEFAULT_LIGHTING.fill.intensity);
+    fill.position.set(-10, -10, -10);
+
+    const rim = new THREE.DirectionalLight(DEFAULT_LIGHTING.rim.color, DEFAULT_LIGHTING.rim.intensity);
+    rim.position.set(-20, 5, -5);
+
+    const spot = new THREE.SpotLight(DEFAULT_LIGHTING.spot.color, DEFAULT_LIGHTING.spot.intensity, 200, 0.35);
+    spot.position.set(0, 20, 20);
+
+    const accent = new THREE.PointLight(DEFAULT_LIGHTING.accent.color, DEFAULT_LIGHTING.accent.intensity, 60);
+    accent.position.set(5, -3, -8);
+
+    // Directional/spot targets ride with the rig so light directions stay fixed
+    [key, fill, rim, spot].forEach((light) => this.group.add(light.target));
+
+    this.lights = { ambient, key, fill, rim, spot, accent };
+    Object.values(this.lights).forEach((light) => this.group.add(light));
+    this.scene.add(this.group);
+
+    this.setQuality(this.quality);
+  }
+
+  /**
+   * Crossfade lights toward the lighting at this scroll position
+   * @param {number} scrollProgress - 0 to 1
+   * @param {THREE.Vector3} focus - Point the camera is looking at
+   */
+  update(scrollProgress, focus) {
+    const { from, to, amount } = this.sceneManager.getLightingBlend(scrollProgress);
+
+    this.applyChannel('ambient', from, to, amount);
+    this.applyChannel('key', from, to, amount);
+    this.applyChannel('fill', from, to, amount);
+    this.applyChannel('rim', from, to, amount);
+    this.applyChannel('accent', from, to, amount);
+    this.applyChannel('spot', from, to, amount);
+
+    if (focus) {
+      this.group.position.lerp(focus, this.config.followLerp);
+    }
+  }
+
+  /**
+   * Same as update() but lands on the focus instead of easing toward it
+   */
+  snapTo(scrollProgress, focus) {
+    this.update(scrollProgress);
+    if (focus) this.group.position.copy(focus);
+  }
+
+  /**
+   * Blend one light channel between two scene lighting configs
+   */
+  applyChannel(channel, from, to, amount) {
+    const light = this.lights[channel];
+    const a = this.resolveChannel(channel, from);
+    const b = this.resolveChannel(channel, to);
+
+    this.fromColor.setHex(a.color);
+    this.toColor.setHex(b.color);
+    light.color.lerpColors(this.fromColor, this.toColor, amount);
+    light.intensity = a.intensity + (b.intensity - a.intensity) * amount;
+  }
+
+  /**
+   * Resolve a channel from scene lighting, falling back to rig defaults.
+   * Scene ambient is declared as a bare colour.
+   */
+  resolveChannel(channel, lighting) {
+    if (channel === 'ambient') {
+      return lighting.ambient === undefined
+        ? DEFAULT_LIGHTING.ambient
+        : { color: lighting.ambient, intensity: DEFAULT_LIGHTING.ambient.intensity };
+    }
+    return lighting[channel] || DEFAULT_LIGHTING[channel];
+  }
+
+  /**
+   * Toggle shadow casting for performance
+   */
+  setQuality(quality) {
+    this.quality = quality;
+    const castShadow = quality === 'high';
+    const mapSize = quality === 'high' ? 1024 : 512;
+
+    [this.lights.key, this.lights.spot].forEach((light) => {
+      if (light.castShadow !== castShadow || light.shadow.mapSize.x !== mapSize) {
+        light.shadow.map?.dispose();
+        light.shadow.map = null;
+      }
+      light.castShadow = castShadow;
+      light.shadow.mapSize.set(mapSize, mapSize);
+    });
+  }
+
+  /**
+   * Cleanup
+   */
+  dispose() {
+    Object.values(this.lights).forEach((light) => {
+      light.shadow?.map?.dispose();
+      light.dispose?.();
+    });
+    if (this.group.parent) this.group.parent.remove(this.group);
+    this.lights = {};
+  }
+}
@@ -3,10 +3,25 @@ import { ScrollTrigger } from "./vendor/gsap/ScrollTrigger.js";
 
 gsap.registerPlugin(ScrollTrigger);
 
+/**
+ * MOTION ORCHESTRATOR - DOM Choreography
+ *
+ * Section reveals, split headings, parallax and card hover for the DOM layer.
+ * Sections bound to a SceneManager scene run on the same clock as the 3D:
+ * reveals fire from TransitionEngine morphs and parallax/blend are scrubbed
+ * from the smoothed scroll progress the camera uses, so the two never drift.
+ * Unbound sections fall back to their own ScrollTriggers.
+ * With reducedMotion, reveals only fade and parallax/hover lift are off.
+ */
 export class MotionOrchestrator {
   constructor(options = {}) {
     this.sections = new Map();
     this.context = null;
+    this.sceneManager = options.sceneManager ?? null;
+    this.transitionEngine = options.transitionEngine ?? null;
+    this.onCardHover = options.onCardHover ?? null;
+    this.reducedMotion = options.reducedMotion ?? false;
+    this.syncedIndex = null;
     this.options = {
       baseDuration: options.baseDuration ?? 0.9,
       baseStagger: options.baseStagger ?? 0.08,
@@ -19,6 +34,7 @@ export class MotionOrchestrator {
       this.setupSections();
       this.setupCardInteractions();
     }, document.body);
+    this.bindTransitions();
   }
 
   setupSections() {
@@ -27,6 +43,7 @@ export class MotionOrchestrator {
     sectionElements.forEach((section, index) => {
       this.registerSection(section, {
         index,
+        sceneIndex: this.getSceneIndex(section),
         revealDelay: index * 0.05,
         depthStart: 56 + index * 8,
         parallaxStrength: 14 + index * 2,
@@ -53,7 +70,93 @@ export class MotionOrchestrator {
     this.prepareTypography(content);
     this.applyReveal(section, content, revealItems, config);
     this.applyParallax(section, content, config);
-    this.applyOpacityBlend(section);
+    this.applyOpacityBlend(section, config);
+
+    this.sections.set(section, {
+      ...this.sections.get(section),
+      sceneIndex: config.sceneIndex ?? -1,
+    });
+  }
+
+  /**
+   * Rebuild section motion for the new policy and re-sync reveals
+   */
+  setReducedMotion(reduced) {
+    if (reduced === this.reducedMotion) return;
+    this.reducedMotion = reduced;
+    if (!this.context) return;
+
+    this.context.add(() => this.setupSections());
+    this.syncedIndex = null;
+  }
+
+  getSceneIndex(section) {
+    if (!this.sceneManager) return -1;
+    return this.sceneManager.scenes.findIndex((scene) => scene.sectionElement === section);
+  }
+
+  /**
+   * Play reveals on the same morph events that move the 3D scene
+   */
+  bindTransitions() {
+    if (!this.transitionEngine) return;
+
+    this.transitionEngine.on("onMorph", (fromScene, toScene, fromIndex, direction) => {
+      if (!this.context) return;
+      const toIndex = this.sceneManager.scenes.indexOf(toScene);
+
+      // Forced transitions can skip scenes; every scene passed reveals or hides
+      if (direction > 0) {
+        for (let i = fromIndex + 1; i <= toIndex; i++) this.getSceneEntry(i)?.reveal?.play();
+      } else {
+        for (let i = fromIndex; i > toIndex; i--) this.getSceneEntry(i)?.reveal?.reverse();
+      }
+    });
+  }
+
+  getSceneEntry(sceneIndex) {
+    for (const entry of this.sections.values()) {
+      if (entry.sceneIndex === sceneIndex) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Scrub scene-bound parallax and opacity from shared scroll progress
+   * @param {number} scrollProgress - 0 to 1, the value the camera uses
+   */
+  update(scrollProgress) {
+    if (!this.sceneManager || !this.context) return;
+
+    const { index, localProgress } = this.sceneManager.getCurrentScene(scrollProgress);
+    const position = index + localProgress; // e.g. 1.5 = halfway through scene 1
+
+    if (this.syncedIndex === null) {
+      this.syncReveals(index);
+    }
+
+    this.sections.forEach((entry) => {
+      if (entry.sceneIndex < 0) return;
+      const i = entry.sceneIndex;
+
+      // Matches "top bottom" -> "bottom top" for viewport-height sections
+      entry.parallax?.progress(gsap.utils.clamp(0, 1, (position - (i - 1)) / 2));
+      // Matches "top 90%" -> "center center"
+      entry.blend?.progress(gsap.utils.clamp(0, 1, (position - (i - 0.9)) / 0.9));
+    });
+  }
+
+  /**
+   * Reveal every scene up to the one scroll starts (or jumps) to; hide the rest
+   */
+  syncReveals(activeIndex) {
+    this.syncedIndex = activeIndex;
+    this.sections.forEach((entry) => {
+      if (entry.sceneIndex < 0) return;
+      if (entry.sceneIndex < activeIndex) entry.reveal?.progress(1);
+      else if (entry.sceneIndex === activeIndex) entry.reveal?.play();
+      else entry.reveal?.pause(0);
+    });
   }
 
   prepareTypography(container) {
@@ -87,13 +190,17 @@ export class MotionOrchestrator {
     const delay = config.revealDelay ?? 0;
     const depthStart = config.depthStart ?? 64;
 
+    const still = this.reducedMotion;
+
     gsap.set(content, { willChange: "transform, opacity" });
-    gsap.set(headingWords, { yPercent: 120, opacity: 0, rotateX: -8, force3D: true });
-    gsap.set(revealItems, { y: depthStart, opacity: 0, force3D: true });
+    gsap.set(headingWords, { yPercent: still ? 0 : 120, opacity: 0, rotateX: still ? 0 : -8, force3D: true });
+    gsap.set(revealItems, { y: still ? 0 : depthStart, opacity: 0, force3D: true });
 
+    const sceneBound = (config.sceneIndex ?? -1) >= 0;
     const revealTimeline = gsap.timeline({
       defaults: { ease: this.options.ease, duration: this.options.baseDuration },
-      scrollTrigger: {
+      paused: sceneBound,
+      scrollTrigger: sceneBound ? undefined : {
         trigger: section,
         start: "top 78%",
         end: "top 35%",
@@ -106,7 +213,7 @@ export class MotionOrchestrator {
         yPercent: 0,
         opacity: 1,
         rotateX: 0,
-        stagger: this.options.baseStagger * 0.9,
+        stagger: still ? 0 : this.options.baseStagger * 0.9,
         delay,
       })
       .to(
@@ -132,12 +239,20 @@ export class MotionOrchestrator {
     const viewportFactor = window.innerWidth < 768 ? 0.55 : 1;
     const strength = (config.parallaxStrength ?? 14) * viewportFactor;
 
+    if (this.reducedMotion) {
+      gsap.set(layers, { y: 0, clearProps: "willChange" });
+      this.sections.set(section, { ...(this.sections.get(section) || {}), parallax: null });
+      return;
+    }
+
     gsap.set(layers, { force3D: true, willChange: "transform" });
 
+    const sceneBound = (config.sceneIndex ?? -1) >= 0;
     const parallaxTween = gsap.to(layers, {
       y: (_, el) => (el === content ? -strength : -strength * 0.65),
       ease: "none",
-      scrollTrigger: {
+      paused: sceneBound,
+      scrollTrigger: sceneBound ? undefined : {
         trigger: section,
         start: "top bottom",
         end: "bottom top",
@@ -151,14 +266,16 @@ export class MotionOrchestrator {
     });
   }
 
-  applyOpacityBlend(section) {
+  applyOpacityBlend(section, config = {}) {
+    const sceneBound = (config.sceneIndex ?? -1) >= 0;
     const blendTween = gsap.fromTo(
       section,
       { opacity: 0.4 },
       {
         opacity: 1,
         ease: "none",
-        scrollTrigger: {
+        paused: sceneBound,
+        scrollTrigger: sceneBound ? undefined : {
           trigger: section,
           start: "top 90%",
           end: "center center",
@@ -180,10 +297,11 @@ export class MotionOrchestrator {
       gsap.set(card, { transformOrigin: "50% 50%", force3D: true, willChange: "transform, box-shadow" });
 
       const hoverIn = () => {
+        this.onCardHover?.(card, true);
         gsap.killTweensOf(card);
         gsap.to(card, {
-          y: -12,
-          scale: 1.015,
+          y: this.reducedMotion ? 0 : -12,
+          scale: this.reducedMotion ? 1 : 1.015,
           boxShadow: "0 24px 44px rgba(10, 10, 10, 0.34)",
           duration: 0.28,
           ease: "power3.out",
@@ -192,6 +310,7 @@ export class MotionOrchestrator {
       };
 
       const hoverOut = () => {
+        this.onCardHover?.(card, false);
         gsap.killTweensOf(card);
         gsap.to(card, {
           y: 0,
@@ -221,7 +340,9 @@ export class MotionOrchestrator {
       entry.blend?.kill();
     });
     this.sections.clear();
+    this.syncedIndex = null;
     if (this.context) this.context.revert();
+    this.context = null;
     ScrollTrigger.getAll().forEach((trigger) => trigger.kill());
   }
 }
@@ -0,0 +1,128 @@
+/**
+ * MOTION POLICY - Reduced Motion Service
+ *
+ * Single answer to "may this move?" for every subsystem. Follows the OS
+ * `prefers-reduced-motion` setting unless the visitor has overridden it with
+ * the on-page toggle; the override persists in localStorage.
+ *
+ * When reduced:
+ * - Camera holds static scene poses and crossfades between them
+ * - Drift, shake, parallax and idle spins stop
+ * - DOM reveals fade without moving
+ */
+
+const STORAGE_KEY = 'cinematic:motion-preference';
+
+export class MotionPolicy {
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || STORAGE_KEY;
+    this.media = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    this.preference = this.loadPreference(); // 'reduce' | 'full' | 'system'
+    this.reduced = this.resolve();
+    this.toggles = [];
+
+    this.callbacks = {
+      onChange: [],
+    };
+
+    this.handleMediaChange = this.handleMediaChange.bind(this);
+    this.media?.addEventListener?.('change', this.handleMediaChange);
+    this.applyDocumentState();
+  }
+
+  /**
+   * Explicit preference wins; otherwise the OS setting
+   */
+  resolve() {
+    if (this.preference === 'reduce') return true;
+    if (this.preference === 'full') return false;
+    return Boolean(this.media?.matches);
+  }
+
+  /**
+   * @param {'reduce'|'full'|'system'} preference
+   */
+  setPreference(preference) {
+    // Matching the OS is stored as 'system' so later OS changes still apply
+    const systemReduced = Boolean(this.media?.matches);
+    if ((preference === 'reduce') === systemReduced && preference !== 'system') {
+      preference = 'system';
+    }
+
+    this.preference = preference;
+    this.savePreference();
+    this.update();
+  }
+
+  toggle() {
+    this.setPreference(this.reduced ? 'full' : 'reduce');
+  }
+
+  handleMediaChange() {
+    this.update();
+  }
+
+  update() {
+    const reduced = this.resolve();
+    if (reduced === this.reduced) return;
+
+    this.reduced = reduced;
+    this.applyDocumentState();
+    console.log(`[MotionPolicy] Reduced motion ${reduced ? 'on' : 'off'}`);
+    this.callbacks.onChange.forEach(cb => cb(reduced));
+  }
+
+  /**
+   * Wire a button as the on-page toggle (aria-pressed mirrors the policy)
+   */
+  bindToggle(button) {
+    if (!button) return;
+    const onClick = () => this.toggle();
+    button.addEventListener('click', onClick);
+    this.toggles.push({ button, onClick });
+    this.applyDocumentState();
+  }
+
+  applyDocumentState() {
+    document.documentElement.classList.toggle('reduced-motion', this.reduced);
+    this.toggles.forEach(({ button }) => {
+      button.setAttribute('aria-pressed', String(this.reduced));
+    });
+  }
+
+  loadPreference() {
+    try {
+      const stored = window.localStorage.getItem(this.storageKey);
+      return stored === 'reduce' || stored === 'full' ? stored : 'system';
+    } catch (_) {
+      return 'system';
+    }
+  }
+
+  savePreference() {
+    try {
+      if (this.preference === 'system') {
+        window.localStorage.removeItem(this.storageKey);
+      } else {
+        window.localStorage.setItem(this.storageKey, this.preference);
+      }
+    } catch (_) {
+      // Storage disabled: the choice lasts for this visit only
+    }
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    this.media?.removeEventListener?.('change', this.handleMediaChange);
+    this.toggles.forEach(({ button, onClick }) => button.removeEventListener('click', onClick));
+    this.toggles = [];
+  }
+}
@@ -0,0 +1,286 @@
+/**
+ * PARALLAX INPUT - Unified Look Input
+ *
+ * Normalises every way a visitor can "look around" into one x/y in [-1, 1]
+ * (NDC orientation: +x right, +y up):
+ * - Mouse/pen: pointer position across the viewport
+ * - Touch: drag offset from where the finger went down, back to centre on
+ *   release (vertical drags usually belong to page scroll and get cancelled)
+ * - Device orientation: tilt relative to a calibrated neutral pose.
+ *   iOS only exposes it after a permission prompt, requested when a tap
+ *   ends; taps keep asking until the visitor answers it.
+ *
+ * Calibration:
+ * - Neutral tilt and sensitivity persist per device in localStorage
+ * - The first reading becomes neutral if the device was never calibrated
+ * - Double-tap recenters: the current tilt becomes the new neutral
+ */
+
+const STORAGE_KEY = 'cinematic:parallax-calibration';
+
+export class ParallaxInput {
+  constructor(options = {}) {
+    this.target = options.target || window;
+
+    this.state = { x: 0, y: 0, source: 'none', pointer: null };
+    this.drag = { active: false, id: null, startX: 0, startY: 0, x: 0, y: 0 };
+    this.tilt = { x: 0, y: 0, beta: null, gamma: null };
+    this.lastTap = { time: 0, x: 0, y: 0 };
+    this.orientationPermission = 'unknown'; // 'granted' | 'denied' | 'unsupported' | 'pending' | 'unknown'
+
+    this.config = {
+      dragRange: 0.5, // Fraction of the viewport a drag covers for full deflection
+      maxTilt: 20, // Degrees from neutral for full deflection
+      doubleTapWindow: 300, // ms between taps
+      doubleTapSlop: 24, // px the second tap may land from the first
+    };
+
+    // { beta, gamma, sensitivity }, beta/gamma null until the first reading
+    this.calibration = this.loadCalibration();
+
+    this.callbacks = {
+      onMove: [],
+      onRecenter: [],
+      onPermission: [],
+    };
+
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleOrientation = this.handleOrientation.bind(this);
+  }
+
+  init() {
+    this.target.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+    this.target.addEventListener('pointerdown', this.handlePointerDown, { passive: true });
+    this.target.addEventListener('pointerup', this.handlePointerUp, { passive: true });
+    this.target.addEventListener('pointercancel', this.handlePointerUp, { passive: true });
+
+    if (typeof window.DeviceOrientationEvent === 'undefined') {
+      this.orientationPermission = 'unsupported';
+    } else if (typeof window.DeviceOrientationEvent.requestPermission !== 'function') {
+      // Everywhere but iOS: no prompt, events just start (or never fire on desktop)
+      this.listenForOrientation();
+    }
+  }
+
+  handlePointerMove(e) {
+    const pointer = this.toNDC(e.clientX, e.clientY);
+
+    if (e.pointerType !== 'touch') {
+      this.state.x = pointer.x;
+      this.state.y = pointer.y;
+      this.emit('pointer', pointer);
+      return;
+    }
+
+    if (!this.drag.active || e.pointerId !== this.drag.id) return;
+
+    const range = this.config.dragRange;
+    this.drag.x = clamp((e.clientX - this.drag.startX) / (window.innerWidth * range));
+    this.drag.y = clamp(-(e.clientY - this.drag.startY) / (window.innerHeight * range));
+    this.compose();
+    this.emit('touch', pointer);
+  }
+
+  handlePointerDown(e) {
+    if (e.pointerType !== 'touch') return;
+
+    if (!this.drag.active) {
+      this.drag = { active: true, id: e.pointerId, startX: e.clientX, startY: e.clientY, x: 0, y: 0 };
+    }
+  }
+
+  handlePointerUp(e) {
+    // Touch activation lands on pointerup, not pointerdown; iOS only shows
+    // the prompt inside one
+    if (e.type === 'pointerup' && e.pointerType === 'touch' && this.orientationPermission === 'unknown') {
+      this.requestOrientationPermission();
+    }
+
+    if (!this.drag.active || e.pointerId !== this.drag.id) return;
+
+    const moved = Math.hypot(e.clientX - this.drag.startX, e.clientY - this.drag.startY);
+    this.drag = { active: false, id: null, startX: 0, startY: 0, x: 0, y: 0 };
+    this.compose();
+    this.emit('touch', null);
+
+    // Only touches that ended where they started count as taps
+    if (e.type === 'pointerup' && moved < this.config.doubleTapSlop) {
+      this.handleTap(e.clientX, e.clientY);
+    }
+  }
+
+  handleTap(x, y) {
+    const now = performance.now();
+    const isDoubleTap =
+      now - this.lastTap.time < this.config.doubleTapWindow &&
+      Math.hypot(x - this.lastTap.x, y - this.lastTap.y) < this.config.doubleTapSlop;
+
+    this.lastTap = { time: isDoubleTap ? 0 : now, x, y };
+    if (isDoubleTap) this.recenter();
+  }
+
+  handleOrientation(e) {
+    if (e.beta === null || e.gamma === null) return;
+
+    this.tilt.beta = e.beta;
+    this.tilt.gamma = e.gamma;
+
+    if (this.calibration.beta === null) {
+      this.calibration.beta = e.beta;
+      this.calibration.gamma = e.gamma;
+      this.saveCalibration();
+    }
+
+    // Tilt away from neutral, rotated into screen space for landscape
+    const range = this.config.maxTilt / this.calibration.sensitivity;
+    const dBeta = wrapDegrees(e.beta - this.calibration.beta) / range;
+    const dGamma = wrapDegrees(e.gamma - this.calibration.gamma) / range;
+    const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+
+    switch (((angle % 360) + 360) % 360) {
+      case 90:
+        this.tilt.x = clamp(dBeta);
+        this.tilt.y = clamp(-dGamma);
+        break;
+      case 270:
+        this.tilt.x = clamp(-dBeta);
+        this.tilt.y = clamp(dGamma);
+        break;
+      case 180:
+        this.tilt.x = clamp(-dGamma);
+        this.tilt.y = clamp(-dBeta);
+        break;
+      default:
+        this.tilt.x = clamp(dGamma);
+        this.tilt.y = clamp(dBeta);
+    }
+
+    this.compose();
+    this.emit('orientation', null);
+  }
+
+  /**
+   * Ask for DeviceOrientation access (iOS 13+). Must run inside a user gesture.
+   * @returns {Promise<string>} Resulting permission state
+   */
+  async requestOrientationPermission() {
+    const Orientation = window.DeviceOrientationEvent;
+    if (!Orientation) {
+      this.orientationPermission = 'unsupported';
+      return this.orientationPermission;
+    }
+    if (typeof Orientation.requestPermission !== 'function') {
+      return this.orientationPermission;
+    }
+
+    this.orientationPermission = 'pending';
+    try {
+      this.orientationPermission = await Orientation.requestPermission();
+    } catch (error) {
+      // Usually "not a user gesture"; only an explicit 'denied' is final
+      console.warn('[ParallaxInput] Orientation permission request failed:', error);
+      this.orientationPermission = 'unknown';
+    }
+
+    if (this.orientationPermission === 'granted') this.listenForOrientation();
+    this.callbacks.onPermission.forEach(cb => cb(this.orientationPermission));
+    return this.orientationPermission;
+  }
+
+  listenForOrientation() {
+    this.orientationPermission = 'granted';
+    window.addEventListener('deviceorientation', this.handleOrientation, { passive: true });
+  }
+
+  /**
+   * Make the current pose neutral and drop any drag offset
+   */
+  recenter() {
+    if (this.tilt.beta !== null) {
+      this.calibration.beta = this.tilt.beta;
+      this.calibration.gamma = this.tilt.gamma;
+      this.saveCalibration();
+    }
+    this.tilt.x = 0;
+    this.tilt.y = 0;
+    this.drag = { active: false, id: null, startX: 0, startY: 0, x: 0, y: 0 };
+
+    this.compose();
+    this.emit(this.state.source, null);
+    this.callbacks.onRecenter.forEach(cb => cb(this.calibration));
+  }
+
+  /**
+   * Scale tilt response for this device (1 = maxTilt degrees for full deflection)
+   */
+  setSensitivity(sensitivity) {
+    this.calibration.sensitivity = Math.max(0.1, sensitivity);
+    this.saveCalibration();
+  }
+
+  /**
+   * Touch and tilt add up; mouse replaces both
+   */
+  compose() {
+    this.state.x = clamp(this.tilt.x + this.drag.x);
+    this.state.y = clamp(this.tilt.y + this.drag.y);
+  }
+
+  emit(source, pointer) {
+    this.state.source = source;
+    this.state.pointer = pointer;
+    this.callbacks.onMove.forEach(cb => cb(this.state));
+  }
+
+  toNDC(clientX, clientY) {
+    return {
+      x: (clientX / window.innerWidth) * 2 - 1,
+      y: -(clientY / window.innerHeight) * 2 + 1,
+    };
+  }
+
+  loadCalibration() {
+    const defaults = { beta: null, gamma: null, sensitivity: 1 };
+    try {
+      const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+      return { ...defaults, ...stored };
+    } catch (_) {
+      return defaults;
+    }
+  }
+
+  saveCalibration() {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(this.calibration));
+    } catch (_) {
+      // Private mode / storage disabled: calibration lasts for this visit only
+    }
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    this.target.removeEventListener('pointermove', this.handlePointerMove);
+    this.target.removeEventListener('pointerdown', this.handlePointerDown);
+    this.target.removeEventListener('pointerup', this.handlePointerUp);
+    this.target.removeEventListener('pointercancel', this.handlePointerUp);
+    window.removeEventListener('deviceorientation', this.handleOrientation);
+  }
+}
+
+function clamp(value) {
+  return Math.max(-1, Math.min(1, value));
+}
+
+function wrapDegrees(degrees) {
+  return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
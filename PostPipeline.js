@@ -0,0 +1,325 @@
+/**
+ * POST PIPELINE - Declarative Composer Chain
+ *
+ * Builds the EffectComposer from a list of pass specs instead of a
+ * hardwired chain, and animates pass parameters scene by scene.
+ *
+ * - A spec is { id, type, params?, preset?, enabled?, optIn?, ...options }; type
+ *   picks a builder from PASS_TYPES and params are its animatable numbers
+ * - preset names a QUALITY_PRESETS flag: the pass only runs on tiers that
+ *   set it, and is built the first time the device reaches one
+ * - Scenes override params in their manifest `post` block, keyed by pass id
+ *   ({ bloom: { strength: 0.5 } }); values interpolate across transitions
+ *   on the same eased curve as lighting and the background shader
+ * - optIn passes ship with neutral params and only run while the current or
+ *   incoming scene overrides them, so unused looks cost nothing
+ */
+
+import * as THREE from './vendor/three.module.js';
+import { EffectComposer } from './vendor/postprocessing/EffectComposer.js';
+import { RenderPass } from './vendor/postprocessing/RenderPass.js';
+import { UnrealBloomPass } from './vendor/postprocessing/UnrealBloomPass.js';
+import { SMAAPass } from './vendor/postprocessing/SMAAPass.js';
+import { ShaderPass } from './vendor/postprocessing/ShaderPass.js';
+import { SSRPass } from './vendor/postprocessing/SSRPass.js';
+import { FilmShader } from './vendor/shaders/FilmShader.js';
+import { GammaCorrectionShader } from './vendor/shaders/GammaCorrectionShader.js';
+import { QUALITY_PRESETS } from './QualityGovernor.js';
+import { CrossfadePass } from './CrossfadePass.js';
+import { DepthOfFieldPass } from './DepthOfFieldPass.js';
+import { LUTShader } from './ColorGrading.js';
+
+// Red and blue pulled apart radially, strongest at the frame edges
+export const ChromaticAberrationShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    amount: { value: 0.002 },
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float amount;
+    varying vec2 vUv;
+    void main() {
+      vec2 offset = (vUv - 0.5) * amount;
+      vec4 color = texture2D(tDiffuse, vUv);
+      color.r = texture2D(tDiffuse, vUv + offset).r;
+      color.b = texture2D(tDiffuse, vUv - offset).b;
+      gl_FragColor = color;
+    }
+  `,
+};
+
+// Darkens toward the corners; offset widens the falloff, darkness deepens it
+export const VignetteShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    offset: { value: 1.0 },
+    darkness: { value: 0.3 },
+  },
+  vertexShader: /* glsl */`
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+  fragmentShader: /* glsl */`
+    uniform sampler2D tDiffuse;
+    uniform float offset;
+    uniform float darkness;
+    varying vec2 vUv;
+    void main() {
+      vec4 texel = texture2D(tDiffuse, vUv);
+      float falloff = smoothstep(0.2, 0.85, length(vUv - 0.5) * offset);
+      gl_FragColor = vec4(texel.rgb * (1.0 - darkness * falloff), texel.a);
+    }
+  `,
+};
+
+/**
+ * Pass builders: create(context, spec, size) returns the pass; resize, when
+ * present, runs after the composer has sized every pass
+ */
+export const PASS_TYPES = {
+  render: {
+    create: (context, spec) => {
+      const pass = new RenderPass(context[spec.scene], context[spec.camera]);
+      pass.clear = spec.clear ?? true;
+      return pass;
+    },
+  },
+  ssr: {
+    create: (context, spec, size) => new SSRPass({
+      renderer: context.renderer,
+      scene: context.scene,
+      camera: context.camera,
+      width: Math.floor(size.width * spec.scale),
+      height: Math.floor(size.height * spec.scale),
+      groundReflector: null,
+      selects: null,
+    }),
+    resize: (pass, spec, size) => {
+      pass.setSize(Math.floor(size.width * spec.scale), Math.floor(size.height * spec.scale));
+    },
+  },
+  bokeh: {
+    create: (context, spec, size) => new DepthOfFieldPass(context.scene, context.camera, {
+      width: size.width * size.pixelRatio,
+      height: size.height * size.pixelRatio,
+    }),
+  },
+  bloom: {
+    create: (context, spec, size) => new UnrealBloomPass(
+      new THREE.Vector2(size.width, size.height),
+      spec.params.strength,
+      spec.params.radius,
+      spec.params.threshold
+    ),
+    resize: (pass, spec, size) => {
+      const scale = size.pixelRatio * QUALITY_PRESETS[size.tier].bloomScale;
+      pass.setSize(size.width * scale, size.height * scale);
+    },
+  },
+  smaa: {
+    create: (context, spec, size) => new SMAAPass(size.width * size.pixelRatio, size.height * size.pixelRatio),
+  },
+  shader: {
+    create: (context, spec) => new ShaderPass(spec.shader),
+  },
+  crossfade: {
+    create: () => new CrossfadePass(),
+  },
+};
+
+/**
+ * The chain the experience ships with, in render order
+ */
+export const DEFAULT_PIPELINE = [
+  { id: 'background', type: 'render', scene: 'backgroundScene', camera: 'backgroundCamera', clear: true },
+  { id: 'main', type: 'render', scene: 'scene', camera: 'camera', clear: false },
+  { id: 'ssr', type: 'ssr', preset: 'ssr', scale: 0.75, params: { opacity: 0.45, maxDistance: 90, thickness: 0.012 } },
+  { id: 'dof', type: 'bokeh', preset: 'dof' },
+  { id: 'bloom', type: 'bloom', params: { strength: 0.35, radius: 0.55, threshold: 0.9 } },
+  { id: 'lut', type: 'shader', shader: LUTShader, params: { intensity: 1 } }, // Looks set by ColorGrader
+  { id: 'chromaticAberration', type: 'shader', shader: ChromaticAberrationShader, optIn: true, params: { amount: 0 } },
+  { id: 'vignette', type: 'shader', shader: VignetteShader, optIn: true, params: { offset: 1.2, darkness: 0 } },
+  { id: 'smaa', type: 'smaa', preset: 'smaa' },
+  { id: 'film', type: 'shader', shader: FilmShader, optIn: true, params: { nIntensity: 0, sIntensity: 0, sCount: 1024, grayscale: 0 } },
+  { id: 'crossfade', type: 'crossfade', enabled: false }, // Reduced motion turns it on
+  { id: 'gamma', type: 'shader', shader: GammaCorrectionShader },
+];
+
+/**
+ * Animatable params per pass id, for manifest validation of `post` blocks
+ * @returns {Object<string, string[]>}
+ */
+export function getPipelineParams(specs = DEFAULT_PIPELINE) {
+  const params = {};
+  specs.forEach((spec) => {
+    params[spec.id] = Object.keys(spec.params || {});
+  });
+  return params;
+}
+
+export class PostPipeline {
+  /**
+   * @param {THREE.WebGLRenderer} renderer
+   * @param {SceneManager} sceneManager
+   * @param {Object} options
+   * @param {Object[]} options.specs - Pass list (DEFAULT_PIPELINE)
+   * @param {Object} options.context - { scene, camera, backgroundScene, backgroundCamera }
+   * @param {string} options.tier - Starting quality tier
+   */
+  constructor(renderer, sceneManager, options = {}) {
+    this.renderer = renderer;
+    this.sceneManager = sceneManager;
+    this.context = { renderer, ...options.context };
+    this.tier = options.tier || 'high';
+    this.size = {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      pixelRatio: renderer.getPixelRatio(),
+      tier: this.tier,
+    };
+
+    const specs = options.specs || DEFAULT_PIPELINE;
+    specs.forEach((spec, i) => {
+      if (!PASS_TYPES[spec.type]) {
+        throw new Error(`[PostPipeline] Pass ${spec.id || i} has unknown type "${spec.type}"`);
+      }
+      if (specs.findIndex(other => other.id === spec.id) !== i) {
+        throw new Error(`[PostPipeline] Duplicate pass id "${spec.id}"`);
+      }
+    });
+
+    // Render order; pass stays null until the pass is first needed
+    this.entries = specs.map(spec => ({ spec, pass: null }));
+    this.composer = null;
+  }
+
+  /**
+   * Create the composer and every pass the starting tier runs
+   */
+  build() {
+    this.composer = new EffectComposer(this.renderer);
+    this.entries.forEach((entry) => {
+      if (this.isWanted(entry, this.tier)) this.createPass(entry);
+    });
+    return this.composer;
+  }
+
+  isWanted(entry, tier) {
+    return !entry.spec.preset || Boolean(QUALITY_PRESETS[tier][entry.spec.preset]);
+  }
+
+  /**
+   * Build a pass and slot it in after the built passes that precede it
+   */
+  createPass(entry) {
+    const { spec } = entry;
+    const type = PASS_TYPES[spec.type];
+    entry.pass = type.create(this.context, spec, this.size);
+    if (spec.enabled === false || spec.optIn) entry.pass.enabled = false;
+
+    const index = this.entries.indexOf(entry);
+    const position = this.entries.slice(0, index).filter(other => other.pass).length;
+    this.composer.insertPass(entry.pass, position);
+    type.resize?.(entry.pass, spec, this.size);
+
+    Object.entries(spec.params || {}).forEach(([key, value]) => applyParam(entry.pass, key, value));
+    return entry.pass;
+  }
+
+  /**
+   * Pass by spec id, or null while it isn't built
+   */
+  get(id) {
+    return this.entries.find(entry => entry.spec.id === id)?.pass || null;
+  }
+
+  /**
+   * Blend scene overrides for a scroll position and advance animated uniforms
+   * @param {number} scrollProgress - 0 to 1
+   * @param {number} deltaTime - Frame delta in seconds
+   */
+  update(scrollProgress, deltaTime) {
+    const { scene, nextScene, amount } = this.sceneManager.getSceneBlend(scrollProgress);
+
+    this.entries.forEach((entry) => {
+      const { spec, pass } = entry;
+      if (!pass) return;
+      if (spec.optIn) {
+        pass.enabled = Boolean(scene.post?.[spec.id] || (amount > 0 && nextScene?.post?.[spec.id]));
+      }
+      if (!pass.enabled) return;
+
+      Object.keys(spec.params || {}).forEach((key) => {
+        const from = getParam(scene, spec, key);
+        const to = nextScene ? getParam(nextScene, spec, key) : from;
+        applyParam(pass, key, THREE.MathUtils.lerp(from, to, amount));
+      });
+
+      // Film grain and other time-driven shaders run on the frame clock
+      if (pass.uniforms?.time) pass.uniforms.time.value += deltaTime;
+    });
+  }
+
+  render() {
+    this.composer.render();
+  }
+
+  /**
+   * Turn tier-gated passes on or off, building any reached for the first time
+   */
+  setQuality(tier) {
+    this.tier = this.size.tier = tier;
+    this.entries.forEach((entry) => {
+      if (!entry.spec.preset) return;
+      const wanted = this.isWanted(entry, tier);
+      if (wanted && !entry.pass) this.createPass(entry);
+      if (entry.pass) entry.pass.enabled = wanted;
+    });
+  }
+
+  /**
+   * @param {number} width - CSS pixels
+   * @param {number} height - CSS pixels
+   * @param {number} pixelRatio
+   */
+  setSize(width, height, pixelRatio) {
+    Object.assign(this.size, { width, height, pixelRatio });
+    this.composer.setPixelRatio(pixelRatio);
+    this.composer.setSize(width, height);
+    this.entries.forEach((entry) => {
+      if (entry.pass) PASS_TYPES[entry.spec.type].resize?.(entry.pass, entry.spec, this.size);
+    });
+  }
+
+  dispose() {
+    this.entries.forEach((entry) => {
+      entry.pass?.dispose?.();
+      entry.pass = null;
+    });
+    this.composer?.dispose();
+    this.composer = null;
+  }
+}
+
+function getParam(scene, spec, key) {
+  return scene.post?.[spec.id]?.[key] ?? spec.params[key];
+}
+
+function applyParam(pass, key, value) {
+  if (pass.uniforms?.[key]) {
+    pass.uniforms[key].value = value;
+  } else {
+    pass[key] = value;
+  }
+}
@@ -0,0 +1,179 @@
+/**
+ * QUALITY GOVERNOR - Adaptive Render Budget
+ *
+ * Watches the measured frame rate and steps the render tier down when the
+ * frame budget is blown, then back up once there is sustained headroom.
+ *
+ * Hysteresis:
+ * - Downgrades need a short run of slow samples, upgrades a longer run of
+ *   fast ones, with a dead band between the two thresholds
+ * - Every change starts a cooldown so the new tier can settle
+ * - Each downgrade doubles the wait before the next upgrade attempt,
+ *   so a device hovering on a boundary doesn't flap between tiers
+ */
+
+export const QUALITY_TIERS = ['low', 'medium', 'high'];
+
+/**
+ * Render settings per tier. Counts are upper bounds: content is built for
+ * the highest tier the device may reach and trimmed by visibility.
+ */
+export const QUALITY_PRESETS = {
+  high: {
+    pixelRatio: 1.5,
+    ssr: true,
+    dof: true,
+    bloomScale: 1,
+    smaa: true,
+    shadows: true,
+    particleLayers: 3,
+    depthParticles: 120,
+  },
+  medium: {
+    pixelRatio: 1,
+    ssr: false,
+    dof: false,
+    bloomScale: 0.75,
+    smaa: true,
+    shadows: false,
+    particleLayers: 2,
+    depthParticles: 70,
+  },
+  low: {
+    pixelRatio: 1,
+    ssr: false,
+    dof: false,
+    bloomScale: 0.5,
+    smaa: false,
+    shadows: false,
+    particleLayers: 0,
+    depthParticles: 35,
+  },
+};
+
+export class QualityGovernor {
+  constructor(options = {}) {
+    this.tier = options.tier || 'high';
+    this.minTier = options.minTier || QUALITY_TIERS[0];
+    this.maxTier = options.maxTier || this.tier; // Never upgrade past what the device was detected as
+    this.enabled = options.enabled ?? true;
+
+    this.config = {
+      downgradeFps: 45,       // Below this counts as a slow sample
+      upgradeFps: 57,         // Above this counts as a fast sample
+      downgradeSamples: 2,    // Consecutive slow samples before stepping down
+      upgradeSamples: 5,      // Consecutive fast samples before stepping up
+      cooldownSamples: 3,     // Samples ignored after any change
+      warmupSamples: 2,       // Samples ignored at startup (shader compiles, asset loads)
+      maxUpgradeBackoff: 8,   // Cap on the upgrade wait multiplier
+    };
+
+    this.fps = 60;
+    this.slowSamples = 0;
+    this.fastSamples = 0;
+    this.skipSamples = this.config.warmupSamples;
+    this.upgradeBackoff = 1;
+
+    this.callbacks = {
+      onChange: [],
+    };
+  }
+
+  /**
+   * Feed one frame-rate measurement
+   * @param {number} fps - Frames per second over the last measurement window
+   */
+  sample(fps) {
+    this.fps = fps;
+    if (!this.enabled) return;
+
+    if (this.skipSamples > 0) {
+      this.skipSamples--;
+      return;
+    }
+
+    if (fps < this.config.downgradeFps) {
+      this.slowSamples++;
+      this.fastSamples = 0;
+    } else if (fps > this.config.upgradeFps) {
+      this.fastSamples++;
+      this.slowSamples = 0;
+    } else {
+      this.slowSamples = 0;
+      this.fastSamples = 0;
+    }
+
+    if (this.slowSamples >= this.config.downgradeSamples) {
+      if (this.step(-1, 'slow')) {
+        this.upgradeBackoff = Math.min(this.upgradeBackoff * 2, this.config.maxUpgradeBackoff);
+      }
+    } else if (this.fastSamples >= this.config.upgradeSamples * this.upgradeBackoff) {
+      this.step(1, 'headroom');
+    }
+  }
+
+  /**
+   * Move one tier up (1) or down (-1) within [minTier, maxTier]
+   * @returns {boolean} Whether the tier changed
+   */
+  step(direction, reason = 'manual') {
+    const index = QUALITY_TIERS.indexOf(this.tier) + direction;
+    const min = QUALITY_TIERS.indexOf(this.minTier);
+    const max = QUALITY_TIERS.indexOf(this.maxTier);
+
+    this.slowSamples = 0;
+    this.fastSamples = 0;
+    if (index < min || index > max) return false;
+
+    return this.setTier(QUALITY_TIERS[index], reason);
+  }
+
+  /**
+   * Jump straight to a tier
+   * @returns {boolean} Whether the tier changed
+   */
+  setTier(tier, reason = 'manual') {
+    if (!QUALITY_PRESETS[tier]) {
+      console.warn(`[QualityGovernor] Unknown tier "${tier}"`);
+      return false;
+    }
+    if (tier === this.tier) return false;
+
+    const previous = this.tier;
+    this.tier = tier;
+    this.slowSamples = 0;
+    this.fastSamples = 0;
+    this.skipSamples = this.config.cooldownSamples;
+
+    console.log(`[QualityGovernor] ${previous} -> ${tier} (${reason}, ${Math.round(this.fps)} fps)`);
+
+    const change = { tier, previous, reason, fps: this.fps, preset: this.getPreset(tier) };
+    this.callbacks.onChange.forEach(cb => cb(change));
+    return true;
+  }
+
+  /**
+   * Get render settings for a tier (defaults to the current one)
+   */
+  getPreset(tier = this.tier) {
+    return QUALITY_PRESETS[tier];
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  /**
+   * Forget sample history, e.g. after the tab was hidden
+   */
+  reset() {
+    this.slowSamples = 0;
+    this.fastSamples = 0;
+    this.skipSamples = this.config.warmupSamples;
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * SCENE ASSETS - Streamed Per-Scene Content
+ *
+ * Scenes declare what they need: their manifest `factory` plus the named
+ * `assets` they list. Each name maps to a definition registered with
+ * define(); the loader keeps a window of scenes around the active one
+ * resident so first paint only pays for the scene it opens on:
+ * - focus() loads the active scene now and unloads every scene more than
+ *   `retainDistance` scenes away
+ * - prefetch() loads a scene ahead of time (the next one, during a hold)
+ * - getProgress() reports each scene's load state and progress
+ *
+ * A definition is { type, load(scene, report), unload(handle, scene),
+ * fallback?(scene, error), critical? }. load returns the asset's handle, or a Promise
+ * of it; it may call report(0-1, { loaded, total }) while in flight, the
+ * second argument in bytes when the download size is known. A synchronous
+ * load is in the scene the moment load() returns. A load that finishes
+ * after its scene was unloaded is unloaded straight away.
+ * A failed load uses the definition's fallback handle if it has one; either
+ * way the asset counts as settled, so one bad file never holds a scene back.
+ * `critical: false` marks set dressing that first paint needn't wait for:
+ * whenCritical() and getProgress(i, { critical: true }) leave it out.
+ */
+
+export class SceneAssetLoader {
+  /**
+   * @param {SceneManager} sceneManager
+   * @param {Object} options - { retainDistance }
+   */
+  constructor(sceneManager, options = {}) {
+    this.sceneManager = sceneManager;
+    this.definitions = new Map(); // asset name -> definition
+    this.records = new Map(); // scene index -> { state, entries, ready }
+    this.activeIndex = null;
+    this.pinned = false;
+
+    this.config = {
+      retainDistance: options.retainDistance ?? 1, // Scenes kept loaded either side of the active one
+    };
+
+    this.callbacks = {
+      onAssetLoad: [], // (name, handle, scene, index, { type, fallback })
+      onProgress: [],  // (scene, index, progress) - see getProgress()
+      onLoad: [],      // (scene, index) - every asset settled
+      onUnload: [],    // (scene, index)
+    };
+  }
+
+  /**
+   * Register how to load and free a named asset
+   */
+  define(name, definition) {
+    this.definitions.set(name, definition);
+  }
+
+  /**
+   * Asset names a scene declares, factory first
+   */
+  getAssetNames(scene) {
+    return [scene.factory, ...(scene.assets || [])].filter(Boolean);
+  }
+
+  /**
+   * Make a scene the active one: load it and unload scenes out of range
+   */
+  focus(index) {
+    this.activeIndex = index;
+    const ready = this.load(index);
+
+    if (!this.pinned) {
+      [...this.records.keys()]
+        .filter(i => Math.abs(i - index) > this.config.retainDistance)
+        .forEach(i => this.unload(i));
+    }
+    return ready;
+  }
+
+  /**
+   * Load a scene ahead of time if it is in range of the active one
+   */
+  prefetch(index) {
+    if (!this.sceneManager.scenes[index]) return Promise.resolve();
+    if (!this.pinned && this.activeIndex !== null && Math.abs(index - this.activeIndex) > this.config.retainDistance) {
+      return Promise.resolve();
+    }
+    return this.load(index);
+  }
+
+  /**
+   * Start loading a scene's assets
+   * @returns {Promise} Settles once every asset has loaded or failed
+   */
+  load(index) {
+    const existing = this.records.get(index);
+    if (existing) return existing.ready;
+
+    const scene = this.sceneManager.scenes[index];
+    if (!scene) return Promise.resolve();
+
+    const record = { state: 'loading', entries: new Map(), ready: null, critical: null };
+    this.records.set(index, record);
+    const names = this.getAssetNames(scene);
+    names.forEach(name => record.entries.set(name, { state: 'loading', progress: 0, bytes: null, handle: null }));
+    this.reportProgress(index);
+
+    const loads = names.map(name => this.loadAsset(name, scene, index, record));
+    record.critical = Promise.all(loads.filter((_, i) => this.isCritical(names[i])));
+    record.ready = Promise.all(loads)
+      .then(() => {
+        if (this.records.get(index) !== record) return;
+        record.state = 'loaded';
+        this.reportProgress(index);
+        this.callbacks.onLoad.forEach(cb => cb(scene, index));
+      });
+    return record.ready;
+  }
+
+  /**
+   * Settles once a loading scene's critical assets have
+   */
+  whenCritical(index) {
+    return this.records.get(index)?.critical || Promise.resolve();
+  }
+
+  isCritical(name) {
+    return this.definitions.get(name)?.critical !== false;
+  }
+
+  loadAsset(name, scene, index, record) {
+    const entry = record.entries.get(name);
+    const definition = this.definitions.get(name);
+    const isCurrent = () => this.records.get(index) === record;
+
+    const settle = (handle, fallback = false) => {
+      // Unloaded (or disposed) while in flight
+      if (!isCurrent()) {
+        definition.unload?.(handle, scene);
+        return;
+      }
+      entry.state = fallback ? 'fallback' : 'loaded';
+      entry.progress = 1;
+      entry.handle = handle;
+      this.callbacks.onAssetLoad.forEach(cb => cb(name, handle, scene, index, { type: definition.type, fallback }));
+      this.reportProgress(index);
+    };
+
+    const fail = (error) => {
+      if (!isCurrent()) return;
+      console.error(`[SceneAssets] ${name} failed to load for scene ${scene.name}`, error);
+      if (definition?.fallback) {
+        try {
+          settle(definition.fallback(scene, error), true);
+          return;
+        } catch (fallbackError) {
+          console.error(`[SceneAssets] Fallback for ${name} failed too`, fallbackError);
+        }
+      }
+      entry.state = 'failed';
+      entry.progress = 1;
+      this.reportProgress(index);
+    };
+
+    if (!definition) {
+      fail(new Error(`No asset definition named "${name}"`));
+      return Promise.resolve();
+    }
+
+    const report = (fraction, bytes = null) => {
+      if (!isCurrent() || entry.state !== 'loading') return;
+      entry.progress = Math.min(1, Math.max(0, fraction));
+      if (bytes) entry.bytes = bytes;
+      this.reportProgress(index);
+    };
+
+    let result;
+    try {
+      result = definition.load(scene, report);
+    } catch (error) {
+      fail(error);
+      return Promise.resolve();
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(settle, fail);
+    }
+    settle(result);
+    return Promise.resolve();
+  }
+
+  /**
+   * Free a scene's loaded assets; loads still in flight are freed on arrival
+   */
+  unload(index) {
+    const record = this.records.get(index);
+    if (!record) return;
+
+    const scene = this.sceneManager.scenes[index];
+    this.records.delete(index);
+    record.entries.forEach((entry, name) => {
+      if (entry.state !== 'loaded' && entry.state !== 'fallback') return;
+      this.definitions.get(name)?.unload?.(entry.handle, scene);
+    });
+
+    this.reportProgress(index);
+    this.callbacks.onUnload.forEach(cb => cb(scene, index));
+  }
+
+  /**
+   * Load every scene and stop unloading until unpin() (frame capture needs
+   * the whole journey resident)
+   */
+  pin() {
+    this.pinned = true;
+    return Promise.all(this.sceneManager.scenes.map((_, i) => this.load(i)));
+  }
+
+  unpin() {
+    this.pinned = false;
+    if (this.activeIndex !== null) this.focus(this.activeIndex);
+  }
+
+  /**
+   * Load state of a scene. `loaded` counts settled assets, `failed` those
+   * that fell back or failed; bytes only cover assets that report them.
+   * @param {string|number} nameOrIndex
+   * @param {Object} options - { critical: true } counts only critical assets
+   * @returns {{state: 'unloaded'|'loading'|'loaded', loaded: number, failed: number, total: number,
+   *   progress: number, bytesLoaded: number, bytesTotal: number}}
+   */
+  getProgress(nameOrIndex, options = {}) {
+    const index = typeof nameOrIndex === 'number'
+      ? nameOrIndex
+      : this.sceneManager.scenes.findIndex(s => s.name === nameOrIndex);
+    const record = this.records.get(index);
+    const counts = name => !options.critical || this.isCritical(name);
+    const names = record
+      ? [...record.entries.keys()]
+      : this.getAssetNames(this.sceneManager.scenes[index] || {});
+    const total = names.filter(counts).length;
+    if (!record) return { state: 'unloaded', loaded: 0, failed: 0, total, progress: 0, bytesLoaded: 0, bytesTotal: 0 };
+
+    let loaded = 0;
+    let failed = 0;
+    let sum = 0;
+    let bytesLoaded = 0;
+    let bytesTotal = 0;
+    record.entries.forEach((entry, name) => {
+      if (!counts(name)) return;
+      if (entry.state !== 'loading') loaded++;
+      if (entry.state === 'fallback' || entry.state === 'failed') failed++;
+      sum += entry.progress;
+      if (entry.bytes) {
+        bytesLoaded += entry.state === 'loading' ? entry.bytes.loaded : entry.bytes.total;
+        bytesTotal += entry.bytes.total;
+      }
+    });
+    return {
+      // Critical assets can all be in while set dressing still streams
+      state: record.state === 'loading' && options.critical && loaded === total ? 'loaded' : record.state,
+      loaded,
+      failed,
+      total,
+      progress: total ? sum / total : 1,
+      bytesLoaded,
+      bytesTotal,
+    };
+  }
+
+  isLoaded(index) {
+    return this.records.get(index)?.state === 'loaded';
+  }
+
+  reportProgress(index) {
+    const scene = this.sceneManager.scenes[index];
+    const progress = this.getProgress(index);
+    this.callbacks.onProgress.forEach(cb => cb(scene, index, progress));
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  /**
+   * Unload everything
+   */
+  dispose() {
+    this.pinned = false;
+    [...this.records.keys()].forEach(index => this.unload(index));
+    this.activeIndex = null;
+  }
+}
@@ -9,8 +9,17 @@
  * - Camera travels through scenes, not sections scrolling past camera
  * - Each scene has entry/hold/exit phases
  * - Transitions are choreographed, not abrupt
+ * - The scene sequence is data, loaded from a manifest (see SceneManifest.js)
+ * - z-ranges place scenes in space; when and for how long a scene plays is
+ *   its DOM section's scroll span (see ScrollMap.js)
  */
 
+import {
+  DEFAULT_SCENE_MANIFEST_URL,
+  fetchSceneManifest,
+  normalizeSceneManifest,
+} from './SceneManifest.js';
+
 export class SceneManager {
   constructor() {
     this.scenes = [];
@@ -18,6 +27,10 @@ export class SceneManager {
     this.transitionProgress = 0;
     this.state = 'IDLE'; // IDLE, ANTICIPATE, TRANSITIONING, SETTLING
     
+    // Measured from the DOM by ScrollMap; null until measured (scenes are
+    // then timed by z-range)
+    this.scrollMap = null; // { boundaries, anchors }
+    
     this.config = {
       anticipationDistance: 0.15, // Start anticipating 15% before scene boundary
       settleOvershoot: 0.05, // Overshoot then settle back
@@ -26,91 +39,77 @@ export class SceneManager {
   }
 
   /**
-   * Define the narrative structure
+   * Define the narrative structure from a scene manifest
+   * @param {object} manifest - Inline manifest
+   * @param {object} options - { factories, assets, post } forwarded to manifest validation
    */
-  defineScenes() {
-    this.scenes = [
-      {
-        name: 'hero',
-        zStart: 0,
-        zEnd: -50,
-        camera: {
-          position: { x: 0, y: 0, z: 10 },
-          lookAt: { x: 0, y: 0, z: 0 },
-          fov: 75,
-        },
-        objects: [], // Populated by GeometryLibrary
-        lighting: {
-          ambient: 0x1a0a2e, // Deep purple space
-          key: { color: 0xFF1493, intensity: 1.4 }, // Hot pink shark glow
-        },
-        shader: {
-          colorA: [1.0, 0.08, 0.58], // Hot pink #FF1493
-          colorB: [0.08, 0.04, 0.18], // Deep purple space
-          frequency: 0.8,
-        }
-      },
-      {
-        name: 'philosophy',
-        zStart: -50,
-        zEnd: -120,
-        camera: {
-          position: { x: -5, y: 3, z: -80 },
-          lookAt: { x: 0, y: 0, z: -85 },
-          fov: 60,
-        },
-        objects: [],
-        lighting: {
-          ambient: 0x16001e, // Deep purple
-          key: { color: 0x9D4EDD, intensity: 1.1 }, // Purple nebula
-        },
-        shader: {
-          colorA: [0.62, 0.31, 0.87], // Purple #9D4EDD
-          colorB: [0.09, 0.00, 0.12], // Dark purple
-          frequency: 1.2,
-        }
-      },
-      {
-        name: 'services',
-        zStart: -120,
-        zEnd: -200,
-        camera: {
-          position: { x: 3, y: -2, z: -160 },
-          lookAt: { x: 0, y: 0, z: -165 },
-          fov: 50,
-        },
-        objects: [],
-        lighting: {
-          ambient: 0x1a0520, // Deep purple-pink
-          key: { color: 0xFF69B4, intensity: 0.95 }, // Light pink
-        },
-        shader: {
-          colorA: [1.0, 0.41, 0.71], // Light pink #FF69B4
-          colorB: [0.10, 0.02, 0.13], // Deep space
-          frequency: 1.5,
-        }
-      },
-      {
-        name: 'contact',
-        zStart: -200,
-        zEnd: -280,
-        camera: {
-          position: { x: 0, y: 5, z: -240 },
-          lookAt: { x: 0, y: 0, z: -250 },
-          fov: 80,
-        },
-        objects: [],
-        lighting: {
-          ambient: 0x0d0415, // Deep purple-black
-          key: { color: 0x8B5CF6, intensity: 0.9 }, // Bright purple nebula
-        },
-        shader: {
-          colorA: [0.55, 0.36, 0.96], // Bright purple #8B5CF6
-          colorB: [0.05, 0.02, 0.08], // Deep purple space
-          frequency: 2.0,
-        }
+  defineScenes(manifest, options = {}) {
+    const { scenes, config } = normalizeSceneManifest(manifest, options);
+    Object.assign(this.config, config);
+    this.scenes = scenes;
+    this.currentSceneIndex = 0;
+    return this.scenes;
+  }
+
+  /**
+   * Load the narrative from an inline manifest or a JSON file URL
+   * @param {object|string} source - Defaults to the shipped scenes.json
+   * @param {object} options - { factories, assets, post } forwarded to manifest validation
+   */
+  async loadManifest(source = DEFAULT_SCENE_MANIFEST_URL, options = {}) {
+    const manifest = typeof source === 'string'
+      ? await fetchSceneManifest(source)
+      : source;
+    return this.defineScenes(manifest, options);
+  }
+
+  /**
+   * Resolve each scene's DOM section from its manifest selector
+   */
+  bindSections(root = document) {
+    this.scenes.forEach((scene) => {
+      scene.sectionElement = root.querySelector(scene.section);
+      if (!scene.sectionElement) {
+        console.warn(`[SceneManager] No DOM section matches "${scene.section}" for scene ${scene.name}`);
       }
-    ];
+    });
+  }
+
+  /**
+   * Look up a scene by name or index
+   */
+  getScene(nameOrIndex) {
+    if (typeof nameOrIndex === 'number') return this.scenes[nameOrIndex] || null;
+    return this.scenes.find(s => s.name === nameOrIndex) || null;
+  }
+
+  /**
+   * Give each scene the scroll span of its DOM section
+   * @param {Object|null} map - null falls back to z-range proportions
+   * @param {number[]} map.boundaries - One start per scene plus a final end,
+   *   ascending from 0 to 1
+   * @param {number[]} map.anchors - Per scene, the progress where its section
+   *   sits squarely in view (where navigation lands)
+   */
+  setScrollMap(map) {
+    if (map && map.boundaries.length !== this.scenes.length + 1) {
+      console.warn('[SceneManager] Scroll map needs one boundary per scene plus an end; ignoring it');
+      map = null;
+    }
+    this.scrollMap = map;
+  }
+
+  /**
+   * Scroll progress range a scene occupies
+   * @returns {[number, number]} [start, end], 0 to 1
+   */
+  getSceneSpan(index) {
+    if (this.scrollMap) {
+      return [this.scrollMap.boundaries[index], this.scrollMap.boundaries[index + 1]];
+    }
+    const scene = this.scenes[index];
+    const totalDistance = Math.abs(this.scenes[this.scenes.length - 1].zEnd);
+    return [-scene.zStart / totalDistance, -scene.zEnd / totalDistance];
   }
 
   /**
@@ -118,26 +117,46 @@ export class SceneManager {
    * @param {number} scrollProgress - 0 to 1
    */
   getCurrentScene(scrollProgress) {
-    const totalDistance = Math.abs(this.scenes[this.scenes.length - 1].zEnd);
-    const currentZ = -scrollProgress * totalDistance;
-    
     for (let i = 0; i < this.scenes.length; i++) {
-      const scene = this.scenes[i];
-      if (currentZ >= scene.zEnd && currentZ <= scene.zStart) {
-        return { scene, index: i, localProgress: this.getLocalProgress(scene, currentZ) };
+      const [start, end] = this.getSceneSpan(i);
+      if (scrollProgress >= start && scrollProgress <= end) {
+        const localProgress = end > start ? (scrollProgress - start) / (end - start) : 1;
+        return { scene: this.scenes[i], index: i, localProgress: Math.min(1, Math.max(0, localProgress)) };
       }
     }
     
+    if (scrollProgress < this.getSceneSpan(0)[0]) {
+      return { scene: this.scenes[0], index: 0, localProgress: 0 };
+    }
     return { scene: this.scenes[this.scenes.length - 1], index: this.scenes.length - 1, localProgress: 1 };
   }
 
   /**
-   * Get progress within a scene (0 = start, 1 = end)
+   * Inverse of getCurrentScene: scroll progress at a point within a scene
+   * @param {string|number} nameOrIndex
+   * @param {number} localProgress - 0 = scene start, 1 = scene end
    */
-  getLocalProgress(scene, currentZ) {
-    const sceneLength = Math.abs(scene.zEnd - scene.zStart);
-    const distanceInScene = Math.abs(currentZ - scene.zStart);
-    return Math.min(1, Math.max(0, distanceInScene / sceneLength));
+  getSceneProgress(nameOrIndex, localProgress = 0) {
+    const scene = this.getScene(nameOrIndex);
+    if (!scene) return null;
+    const [start, end] = this.getSceneSpan(this.scenes.indexOf(scene));
+    return Math.min(1, Math.max(0, start + (end - start) * localProgress));
+  }
+
+  /**
+   * Scroll progress where a scene is at rest: its measured anchor, kept out
+   * of the exit zone so the camera is on a hold pose (scene start without a map)
+   * @param {string|number} nameOrIndex
+   */
+  getSceneAnchor(nameOrIndex) {
+    const scene = this.getScene(nameOrIndex);
+    if (!scene) return null;
+    const index = this.scenes.indexOf(scene);
+    const [start, end] = this.getSceneSpan(index);
+    const anchor = this.scrollMap?.anchors?.[index] ?? start;
+    const isLast = index === this.scenes.length - 1; // Nothing to exit toward
+    const holdEnd = isLast ? end : start + (end - start) * (1 - this.config.anticipationDistance);
+    return Math.min(holdEnd, Math.max(start, anchor));
   }
 
   /**
@@ -196,23 +215,33 @@ export class SceneManager {
     };
   }
 
+  /**
+   * Get the outgoing/incoming scene pair and eased crossfade amount.
+   * The crossfade runs across the anticipation zone at the end of each scene.
+   */
+  getSceneBlend(scrollProgress) {
+    const { scene, index, localProgress } = this.getCurrentScene(scrollProgress);
+    const nextScene = this.scenes[index + 1] || null;
+
+    let amount = 0;
+    if (nextScene && localProgress > (1 - this.config.anticipationDistance)) {
+      const anticipateProgress = (localProgress - (1 - this.config.anticipationDistance)) / this.config.anticipationDistance;
+      amount = this.easeInOutCubic(anticipateProgress);
+    }
+
+    return { scene, nextScene, index, amount };
+  }
+
   /**
    * Get interpolated shader uniforms for smooth background transitions
    */
   getInterpolatedShader(scrollProgress) {
-    const { scene, index, localProgress } = this.getCurrentScene(scrollProgress);
-    const nextScene = this.scenes[index + 1];
+    const { scene, nextScene, amount: transitionAmount } = this.getSceneBlend(scrollProgress);
     
     if (!nextScene) {
       return scene.shader;
     }
 
-    let transitionAmount = 0;
-    if (localProgress > (1 - this.config.anticipationDistance)) {
-      const anticipateProgress = (localProgress - (1 - this.config.anticipationDistance)) / this.config.anticipationDistance;
-      transitionAmount = this.easeInOutCubic(anticipateProgress);
-    }
-
     return {
       colorA: [
         this.lerp(scene.shader.colorA[0], nextScene.shader.colorA[0], transitionAmount),
@@ -236,6 +265,18 @@ export class SceneManager {
     return scene.lighting;
   }
 
+  /**
+   * Get outgoing/incoming lighting configurations and crossfade amount
+   */
+  getLightingBlend(scrollProgress) {
+    const { scene, nextScene, amount } = this.getSceneBlend(scrollProgress);
+    return {
+      from: scene.lighting,
+      to: nextScene ? nextScene.lighting : scene.lighting,
+      amount,
+    };
+  }
+
   /**
    * Utility: Linear interpolation
    */
@@ -269,6 +310,16 @@ export class SceneManager {
     }
   }
 
+  /**
+   * Drop an object reference from a scene (its assets were unloaded)
+   */
+  removeObjectFromScene(sceneName, object) {
+    const scene = this.scenes.find(s => s.name === sceneName);
+    if (scene) {
+      scene.objects = scene.objects.filter(o => o !== object);
+    }
+  }
+
   /**
    * Get all objects for a scene
    */
@@ -0,0 +1,384 @@
+/**
+ * SCENE MANIFEST - Declarative Narrative Definition
+ *
+ * Describes the scene sequence as plain data so the journey can be
+ * added to, reordered and retuned without touching JavaScript.
+ * A manifest can be passed inline or fetched from a JSON file; the shipped
+ * journey lives in scenes.json.
+ *
+ * Manifest Shape:
+ * {
+ *   version: 1,
+ *   config: { anticipationDistance, settleOvershoot, transitionDuration },
+ *   scenes: [{
+ *     name, section, factory, assets?,
+ *     zStart, zEnd,
+ *     camera: {
+ *       position: {x,y,z}, lookAt: {x,y,z}, fov,
+ *       rail: { position: [{x,y,z}...], lookAt: [{x,y,z}...] },
+ *       exitRail: { position: [{x,y,z}...], lookAt: [{x,y,z}...] },
+ *       focus?: { target?, point?: {x,y,z}, aperture?, maxblur? },
+ *     },
+ *     lighting: { ambient, key, fill?, rim?, accent?, spot? },  // each { color, intensity }
+ *     environment?: { map?, rotation?, intensity? },
+ *     look?: string,
+ *     post?: { <passId>: { <param>: number } },
+ *     shader: { colorA: [r,g,b], colorB: [r,g,b], frequency },
+ *   }]
+ * }
+ *
+ * Colours may be numbers (0xFF1493) or hex strings ("#FF1493").
+ * zStart is optional and defaults to the previous scene's zEnd.
+ * section defaults to [data-scene="<name>"].
+ * factory builds the scene's geometry; assets names anything else it needs
+ * loaded while it is near (models, textures). Both load and unload with the
+ * scene (see SceneAssets.js).
+ * camera.rail is the spline flown while holding in the scene; camera.exitRail
+ * lists waypoints flown through on the way to the next scene. Both are
+ * optional and fall back to the static position/lookAt pose.
+ * camera.focus is the depth-of-field subject: target names a GeometryLibrary
+ * object (falling back to point, then lookAt, while it isn't loaded);
+ * aperture and maxblur are BokehPass settings. Only the 'high' tier renders it.
+ * environment lights the scene's materials from an HDR panorama (map URL),
+ * turned rotation degrees about Y and scaled by intensity; omitted fields
+ * use the EnvironmentRig defaults.
+ * look names the scene's colour grade, a .cube LUT in looks/ (see
+ * ColorGrading.js); scenes without one are left ungraded.
+ * post overrides PostPipeline pass params for the scene (e.g. bloom strength);
+ * params it leaves out keep the pipeline's values. Both blend across
+ * transitions. chromaticAberration, vignette and film are neutral and off
+ * until a scene sets them.
+ */
+
+// The shipped journey; scenes.json is its only definition
+export const DEFAULT_SCENE_MANIFEST_URL = new URL('./scenes.json', import.meta.url).href;
+
+const CONFIG_KEYS = ['anticipationDistance', 'settleOvershoot', 'transitionDuration'];
+const LIGHT_CHANNELS = ['key', 'fill', 'rim', 'accent', 'spot'];
+
+/**
+ * Raised when a manifest fails validation.
+ * `errors` lists every problem as "<path>: <message>".
+ */
+export class SceneManifestError extends Error {
+  constructor(errors) {
+    super(`Invalid scene manifest:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'SceneManifestError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Fetch a manifest JSON file
+ * @param {string} url
+ */
+export async function fetchSceneManifest(url) {
+  let response;
+  try {
+    response = await fetch(url, { cache: 'no-cache' });
+  } catch (error) {
+    throw new SceneManifestError([`${url}: request failed (${error.message})`]);
+  }
+  if (!response.ok) {
+    throw new SceneManifestError([`${url}: HTTP ${response.status}`]);
+  }
+  try {
+    return await response.json();
+  } catch (error) {
+    throw new SceneManifestError([`${url}: not valid JSON (${error.message})`]);
+  }
+}
+
+/**
+ * Validate a manifest and return runtime scene objects.
+ * Throws SceneManifestError listing every malformed scene/field.
+ * @param {object} manifest
+ * @param {object} options - { factories: string[], assets: string[],
+ *   post: { [passId]: string[] } } known object factories, asset names and
+ *   animatable post-processing params
+ */
+export function normalizeSceneManifest(manifest, options = {}) {
+  const errors = [];
+  const factories = options.factories || null;
+  const assetNames = options.assets || null;
+  const postParams = options.post || null;
+
+  if (!isObject(manifest)) {
+    throw new SceneManifestError(['manifest: expected an object']);
+  }
+
+  const config = {};
+  if (manifest.config !== undefined) {
+    if (!isObject(manifest.config)) {
+      errors.push('config: expected an object');
+    } else {
+      CONFIG_KEYS.forEach((key) => {
+        if (manifest.config[key] === undefined) return;
+        if (isFiniteNumber(manifest.config[key])) {
+          config[key] = manifest.config[key];
+        } else {
+          errors.push(`config.${key}: expected a number`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(manifest.scenes) || manifest.scenes.length === 0) {
+    errors.push('scenes: expected a non-empty array');
+    throw new SceneManifestError(errors);
+  }
+
+  const names = new Set();
+  let previousZEnd = 0;
+
+  const scenes = manifest.scenes.map((raw, index) => {
+    const label = isObject(raw) && typeof raw.name === 'string' && raw.name
+      ? `scenes[${index}] (${raw.name})`
+      : `scenes[${index}]`;
+    const fail = (field, message) => errors.push(`${label}.${field}: ${message}`);
+
+    if (!isObject(raw)) {
+      errors.push(`${label}: expected an object`);
+      return null;
+    }
+
+    if (typeof raw.name !== 'string' || !raw.name.trim()) {
+      fail('name', 'expected a non-empty string');
+    } else if (names.has(raw.name)) {
+      fail('name', `duplicate scene name "${raw.name}"`);
+    } else {
+      names.add(raw.name);
+    }
+
+    const zStart = raw.zStart === undefined ? previousZEnd : raw.zStart;
+    if (!isFiniteNumber(zStart)) fail('zStart', 'expected a number');
+    if (!isFiniteNumber(raw.zEnd)) {
+      fail('zEnd', 'expected a number');
+    } else if (isFiniteNumber(zStart)) {
+      if (raw.zEnd >= zStart) fail('zEnd', `must be less than zStart (${zStart})`);
+      if (zStart !== previousZEnd) {
+        fail('zStart', `must continue from the previous scene's zEnd (${previousZEnd})`);
+      }
+      previousZEnd = raw.zEnd;
+    }
+
+    if (raw.section !== undefined && (typeof raw.section !== 'string' || !raw.section.trim())) {
+      fail('section', 'expected a CSS selector string');
+    }
+
+    if (raw.factory !== undefined && raw.factory !== null) {
+      if (typeof raw.factory !== 'string') {
+        fail('factory', 'expected a factory name string');
+      } else if (factories && !factories.includes(raw.factory)) {
+        fail('factory', `unknown factory "${raw.factory}" (expected one of ${factories.join(', ')})`);
+      }
+    }
+
+    if (raw.assets !== undefined) {
+      if (!Array.isArray(raw.assets) || !raw.assets.every(name => typeof name === 'string' && name)) {
+        fail('assets', 'expected an array of asset names');
+      } else {
+        raw.assets.forEach((name, i) => {
+          if (raw.assets.indexOf(name) !== i) {
+            fail(`assets[${i}]`, `duplicate asset "${name}"`);
+          } else if (assetNames && !assetNames.includes(name)) {
+            fail(`assets[${i}]`, `unknown asset "${name}" (expected one of ${assetNames.join(', ')})`);
+          }
+        });
+      }
+    }
+
+    const camera = isObject(raw.camera) ? raw.camera : null;
+    if (!camera) {
+      fail('camera', 'expected an object');
+    } else {
+      validateVector(camera.position, 'camera.position', fail);
+      validateVector(camera.lookAt, 'camera.lookAt', fail);
+      validateRail(camera.rail, 'camera.rail', fail);
+      validateRail(camera.exitRail, 'camera.exitRail', fail);
+      validateFocus(camera.focus, 'camera.focus', fail);
+      if (!isFiniteNumber(camera.fov) || camera.fov <= 0 || camera.fov >= 180) {
+        fail('camera.fov', 'expected a number between 0 and 180');
+      }
+    }
+
+    const lighting = isObject(raw.lighting) ? raw.lighting : null;
+    const lights = {};
+    let ambient = null;
+    if (!lighting) {
+      fail('lighting', 'expected an object');
+    } else {
+      ambient = parseColor(lighting.ambient);
+      if (ambient === null) fail('lighting.ambient', 'expected a colour number or "#rrggbb" string');
+      LIGHT_CHANNELS.forEach((channel) => {
+        const light = lighting[channel];
+        if (light === undefined && channel !== 'key') return;
+        if (!isObject(light)) {
+          fail(`lighting.${channel}`, 'expected an object with color and intensity');
+          return;
+        }
+        const color = parseColor(light.color);
+        if (color === null) fail(`lighting.${channel}.color`, 'expected a colour number or "#rrggbb" string');
+        if (!isFiniteNumber(light.intensity) || light.intensity < 0) {
+          fail(`lighting.${channel}.intensity`, 'expected a non-negative number');
+        }
+        lights[channel] = { ...clone(light), color };
+      });
+    }
+
+    validateEnvironment(raw.environment, 'environment', fail);
+    if (raw.look !== undefined && (typeof raw.look !== 'string' || !/^[\w-]+$/.test(raw.look))) {
+      fail('look', 'expected a look name (letters, digits, - and _)');
+    }
+    validatePost(raw.post, 'post', fail, postParams);
+
+    const shader = isObject(raw.shader) ? raw.shader : null;
+    if (!shader) {
+      fail('shader', 'expected an object');
+    } else {
+      validateRGB(shader.colorA, 'shader.colorA', fail);
+      validateRGB(shader.colorB, 'shader.colorB', fail);
+      if (!isFiniteNumber(shader.frequency)) fail('shader.frequency', 'expected a number');
+    }
+
+    if (!camera || !lighting || !shader) return null;
+
+    return {
+      ...clone(raw),
+      name: raw.name,
+      section: raw.section || `[data-scene="${raw.name}"]`,
+      factory: raw.factory || null,
+      assets: raw.assets ? [...raw.assets] : [],
+      look: raw.look || null,
+      post: raw.post ? clone(raw.post) : {},
+      zStart,
+      zEnd: raw.zEnd,
+      camera: clone(camera),
+      lighting: {
+        ...clone(lighting),
+        ambient,
+        ...lights,
+      },
+      shader: clone(shader),
+      sectionElement: null,
+      objects: [], // Populated by GeometryLibrary
+    };
+  });
+
+  if (errors.length) {
+    throw new SceneManifestError(errors);
+  }
+
+  return { scenes, config };
+}
+
+function validateVector(value, field, fail) {
+  if (!isObject(value)) {
+    fail(field, 'expected an object with x, y, z');
+    return;
+  }
+  ['x', 'y', 'z'].forEach((axis) => {
+    if (!isFiniteNumber(value[axis])) fail(`${field}.${axis}`, 'expected a number');
+  });
+}
+
+function validateFocus(focus, field, fail) {
+  if (focus === undefined) return;
+  if (!isObject(focus)) {
+    fail(field, 'expected an object with target or point, aperture, maxblur');
+    return;
+  }
+  if (focus.target !== undefined && (typeof focus.target !== 'string' || !focus.target)) {
+    fail(`${field}.target`, 'expected an object name');
+  }
+  if (focus.point !== undefined) validateVector(focus.point, `${field}.point`, fail);
+  ['aperture', 'maxblur'].forEach((key) => {
+    if (focus[key] !== undefined && (!isFiniteNumber(focus[key]) || focus[key] < 0)) {
+      fail(`${field}.${key}`, 'expected a non-negative number');
+    }
+  });
+}
+
+function validatePost(post, field, fail, postParams) {
+  if (post === undefined) return;
+  if (!isObject(post)) {
+    fail(field, 'expected an object of pass params keyed by pass id');
+    return;
+  }
+  Object.entries(post).forEach(([id, params]) => {
+    if (postParams && !postParams[id]) {
+      fail(`${field}.${id}`, `unknown pass "${id}" (expected one of ${Object.keys(postParams).join(', ')})`);
+      return;
+    }
+    if (!isObject(params)) {
+      fail(`${field}.${id}`, 'expected an object of numbers');
+      return;
+    }
+    Object.entries(params).forEach(([key, value]) => {
+      if (postParams && !postParams[id].includes(key)) {
+        fail(`${field}.${id}.${key}`, `unknown param (expected one of ${postParams[id].join(', ') || 'none'})`);
+      } else if (!isFiniteNumber(value)) {
+        fail(`${field}.${id}.${key}`, 'expected a number');
+      }
+    });
+  });
+}
+
+function validateEnvironment(environment, field, fail) {
+  if (environment === undefined) return;
+  if (!isObject(environment)) {
+    fail(field, 'expected an object with map, rotation, intensity');
+    return;
+  }
+  if (environment.map !== undefined && (typeof environment.map !== 'string' || !environment.map)) {
+    fail(`${field}.map`, 'expected an HDR file URL');
+  }
+  if (environment.rotation !== undefined && !isFiniteNumber(environment.rotation)) {
+    fail(`${field}.rotation`, 'expected a number of degrees');
+  }
+  if (environment.intensity !== undefined && (!isFiniteNumber(environment.intensity) || environment.intensity < 0)) {
+    fail(`${field}.intensity`, 'expected a non-negative number');
+  }
+}
+
+function validateRail(rail, field, fail) {
+  if (rail === undefined) return;
+  if (!isObject(rail)) {
+    fail(field, 'expected an object with position/lookAt point arrays');
+    return;
+  }
+  ['position', 'lookAt'].forEach((key) => {
+    if (rail[key] === undefined) return;
+    if (!Array.isArray(rail[key]) || rail[key].length === 0) {
+      fail(`${field}.${key}`, 'expected a non-empty array of {x, y, z} points');
+      return;
+    }
+    rail[key].forEach((point, i) => validateVector(point, `${field}.${key}[${i}]`, fail));
+  });
+}
+
+function validateRGB(value, field, fail) {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(isFiniteNumber)) {
+    fail(field, 'expected an [r, g, b] array of numbers');
+  }
+}
+
+function parseColor(value) {
+  if (isFiniteNumber(value) && value >= 0 && value <= 0xffffff) return value;
+  if (typeof value === 'string' && /^#?[0-9a-f]{6}$/i.test(value)) {
+    return parseInt(value.replace('#', ''), 16);
+  }
+  return null;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
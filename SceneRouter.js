@@ -0,0 +1,230 @@
+/**
+ * SCENE ROUTER - Deep Links Into The Journey
+ *
+ * Keeps the URL and the active scene in step:
+ * - Routes are scene names: #services in 'hash' mode, /base/services in
+ *   'path' mode (needs a host that serves index.html for every route).
+ *   The first scene is the bare URL.
+ * - Opening a routed URL lands on that scene already settled
+ * - Scrolling into a new scene rewrites the URL in place (replaceState),
+ *   so reading the page never floods history
+ * - Explicit navigation (in-page scene links, navigate()) pushes an entry,
+ *   so back/forward step between the scenes that were visited
+ *
+ * The router only reports where to go (onNavigate); the experience does the
+ * moving and reports back which scene is active (sync).
+ */
+
+export class SceneRouter {
+  /**
+   * @param {Object} options
+   * @param {SceneManager} options.sceneManager
+   * @param {'hash'|'path'} options.mode
+   * @param {string} options.base - Path prefix for 'path' mode
+   */
+  constructor(options = {}) {
+    this.sceneManager = options.sceneManager;
+    this.mode = options.mode === 'path' ? 'path' : 'hash';
+    this.base = normalizeBase(options.base || '/');
+    this.currentIndex = null;
+
+    this.callbacks = {
+      onNavigate: [], // (scene, index, trigger) - 'load' | 'link' | 'history', or navigate()'s trigger option
+      onChange: [],   // (scene, index) - URL rewritten to follow scroll
+    };
+
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+  }
+
+  /**
+   * Start listening and resolve the URL the page was opened with
+   * @returns {number|null} Scene index to land on, null if the route is unknown
+   */
+  init(root = document) {
+    this.root = root;
+    // The route decides where a reload lands, not the browser's saved offset
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+    window.addEventListener('popstate', this.handlePopState);
+    root.addEventListener('click', this.handleClick);
+
+    const index = this.resolve(window.location);
+    if (index === null) return null;
+
+    this.currentIndex = index;
+    this.replace(index);
+    this.emit(index, 'load');
+    return index;
+  }
+
+  /**
+   * Go to a scene and record it as a new history entry
+   * @param {string|number} nameOrIndex
+   * @param {Object} options - { replace: rewrite the current entry instead,
+   *   trigger: reported to onNavigate (default 'navigate') }
+   * @returns {boolean} False if no such scene
+   */
+  navigate(nameOrIndex, options = {}) {
+    const index = this.indexOf(nameOrIndex);
+    if (index === null) return false;
+
+    // Re-selecting the current scene still moves there, without a duplicate entry
+    if (options.replace || index === this.currentIndex) {
+      this.replace(index);
+    } else {
+      window.history.pushState(this.stateFor(index), '', this.buildURL(index));
+    }
+
+    this.currentIndex = index;
+    this.emit(index, options.trigger || 'navigate');
+    return true;
+  }
+
+  /**
+   * Follow the active scene without adding history
+   */
+  sync(index) {
+    if (index === null || index === undefined || index === this.currentIndex) return;
+
+    this.currentIndex = index;
+    this.replace(index);
+    const scene = this.sceneManager.scenes[index];
+    this.callbacks.onChange.forEach(cb => cb(scene, index));
+  }
+
+  handlePopState() {
+    const index = this.resolve(window.location);
+    if (index === null) return;
+
+    this.currentIndex = index;
+    this.emit(index, 'history');
+  }
+
+  /**
+   * In-page links to a scene route navigate instead of jumping to the anchor
+   */
+  handleClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const link = e.target.closest?.('a[href]');
+    if (!link || link.target === '_blank' || link.hasAttribute('download')) return;
+    if (link.getAttribute('href') === '#') return;
+
+    const url = new URL(link.href, window.location.href);
+    if (url.origin !== window.location.origin) return;
+    if (this.mode === 'hash' && (url.pathname !== window.location.pathname || !url.hash)) return;
+
+    const index = this.resolve(url);
+    if (index === null) return;
+
+    e.preventDefault();
+    this.navigate(index, { trigger: 'link' });
+  }
+
+  /**
+   * Scene index for a location, or null when it names no scene
+   * @param {Location|URL} location
+   */
+  resolve(location) {
+    const route = this.getRoute(location);
+    if (route === null) return null;
+    if (route === '') return 0;
+
+    const index = this.indexOf(route);
+    if (index === null) {
+      console.warn(`[SceneRouter] No scene for route "${route}"`);
+    }
+    return index;
+  }
+
+  /**
+   * Route segment of a location: '' for the bare URL, null if outside the
+   * base or not decodable
+   */
+  getRoute(location) {
+    if (this.mode === 'hash') {
+      return decodeRoute(location.hash.replace(/^#\/?/, ''));
+    }
+
+    const path = location.pathname.endsWith('/') ? location.pathname : `${location.pathname}/`;
+    if (!path.startsWith(this.base)) return null;
+    return decodeRoute(path.slice(this.base.length).split('/')[0]);
+  }
+
+  /**
+   * Match a scene by name, then by the id of its DOM section
+   * @returns {number|null}
+   */
+  indexOf(nameOrIndex) {
+    const scenes = this.sceneManager.scenes;
+    if (typeof nameOrIndex === 'number') {
+      return scenes[nameOrIndex] ? nameOrIndex : null;
+    }
+
+    let index = scenes.findIndex(s => s.name === nameOrIndex);
+    if (index === -1) index = scenes.findIndex(s => s.sectionElement?.id === nameOrIndex);
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * URL for a scene; query string (seed, capture flags) is preserved
+   */
+  buildURL(index) {
+    const { pathname, search } = window.location;
+    const route = index === 0 ? '' : encodeURIComponent(this.sceneManager.scenes[index].name);
+
+    if (this.mode === 'hash') {
+      return `${pathname}${search}${route ? `#${route}` : ''}`;
+    }
+    return `${this.base}${route}${search}`;
+  }
+
+  stateFor(index) {
+    return { ...window.history.state, scene: this.sceneManager.scenes[index].name };
+  }
+
+  replace(index) {
+    window.history.replaceState(this.stateFor(index), '', this.buildURL(index));
+  }
+
+  emit(index, trigger) {
+    const scene = this.sceneManager.scenes[index];
+    this.callbacks.onNavigate.forEach(cb => cb(scene, index, trigger));
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    window.removeEventListener('popstate', this.handlePopState);
+    this.root?.removeEventListener('click', this.handleClick);
+  }
+}
+
+/**
+ * A malformed escape (#100%) is an unknown route, not a boot failure
+ */
+function decodeRoute(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    console.warn(`[SceneRouter] No scene for route "${segment}"`);
+    return null;
+  }
+}
+
+/**
+ * '/experience' and 'experience/' both become '/experience/'
+ */
+function normalizeBase(base) {
+  const trimmed = base.replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}/` : '/';
+}
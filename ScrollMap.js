@@ -0,0 +1,127 @@
+/**
+ * SCROLL MAP - Sections Set Scene Timing
+ *
+ * Measures where each scene's DOM section sits in the page and gives
+ * SceneManager the scroll span of each. A scene plays while its section is
+ * under the viewport's focal line (config.focus, default mid-height), so it
+ * starts as its section takes over the screen and ends as the next one does.
+ * Longer copy, late images or a new breakpoint move the 3D timing with the
+ * layout.
+ *
+ * Each scene also gets an anchor: the scroll position that puts its
+ * section's top at the top of the viewport. Navigation and snapping land
+ * there (SceneManager.getSceneAnchor).
+ *
+ * Rebuilt, at most once per frame, when:
+ * - the window resizes
+ * - the document or any scene section changes size (ResizeObserver)
+ * - web fonts finish loading
+ */
+
+export class ScrollMap {
+  constructor(sceneManager) {
+    this.sceneManager = sceneManager;
+    this.map = null;
+    this.range = 1;
+    this.rafId = 0;
+    this.resizeObserver = null;
+    this.warned = false;
+
+    this.config = {
+      focus: 0.5, // Viewport height fraction a section must cross to take over
+    };
+
+    this.callbacks = {
+      onChange: [], // ({ boundaries, anchors }) - see SceneManager.setScrollMap
+    };
+
+    this.schedule = this.schedule.bind(this);
+  }
+
+  init() {
+    window.addEventListener('resize', this.schedule, { passive: true });
+
+    if (typeof ResizeObserver !== 'undefined') {
+      this.resizeObserver = new ResizeObserver(this.schedule);
+      this.resizeObserver.observe(document.body);
+      this.sceneManager.scenes.forEach((scene) => {
+        if (scene.sectionElement) this.resizeObserver.observe(scene.sectionElement);
+      });
+    }
+    document.fonts?.ready.then(this.schedule);
+
+    this.rebuild();
+  }
+
+  schedule() {
+    if (this.rafId) return;
+    this.rafId = window.requestAnimationFrame(() => {
+      this.rafId = 0;
+      this.rebuild();
+    });
+  }
+
+  /**
+   * Measure now and update SceneManager if anything moved
+   */
+  rebuild() {
+    const map = this.measure();
+    const previous = this.map;
+    const unchanged = map && previous &&
+      map.boundaries.every((value, i) => Math.abs(value - previous.boundaries[i]) < 1e-6) &&
+      map.anchors.every((value, i) => Math.abs(value - previous.anchors[i]) < 1e-6);
+    if (unchanged || (!map && !previous)) return;
+
+    this.map = map;
+    this.sceneManager.setScrollMap(map);
+    this.callbacks.onChange.forEach(cb => cb(map));
+  }
+
+  /**
+   * Scene boundaries and anchors in scroll progress, or null when a scene
+   * has no section (SceneManager then keeps its z-range timing)
+   */
+  measure() {
+    const scenes = this.sceneManager.scenes;
+    const missing = scenes.find(scene => !scene.sectionElement);
+    if (missing) {
+      if (!this.warned) {
+        console.warn(`[ScrollMap] Scene ${missing.name} has no section; using z-range timing`);
+        this.warned = true;
+      }
+      return null;
+    }
+
+    this.range = Math.max(1, document.documentElement.scrollHeight - window.innerHeight);
+    const toProgress = (scrollY) => Math.min(1, Math.max(0, scrollY / this.range));
+    const focusOffset = window.innerHeight * this.config.focus;
+
+    const tops = scenes.map(scene => scene.sectionElement.getBoundingClientRect().top + window.scrollY);
+    const anchors = tops.map(toProgress);
+    const boundaries = tops.map((top, i) => (i === 0 ? 0 : toProgress(top - focusOffset)));
+    boundaries.push(1);
+
+    // Sections out of manifest order would give negative spans
+    for (let i = 1; i < boundaries.length; i++) {
+      boundaries[i] = Math.max(boundaries[i], boundaries[i - 1]);
+    }
+    return { boundaries, anchors };
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    window.removeEventListener('resize', this.schedule);
+    if (this.rafId) window.cancelAnimationFrame(this.rafId);
+    this.rafId = 0;
+    this.resizeObserver?.disconnect();
+    this.resizeObserver = null;
+  }
+}
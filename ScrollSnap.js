@@ -0,0 +1,179 @@
+/**
+ * SCROLL SNAP - Settle On Scene Poses
+ *
+ * Optional. Scroll can stop anywhere, including inside a scene's exit zone
+ * where the camera hangs partway along the exit rail between two poses.
+ * Once scrolling (and any inertia) stops there, the snap glides on to the
+ * next scene or back into the current one, landing on the scene's anchor
+ * (its section squared up in the viewport, see ScrollMap).
+ *
+ * Decision:
+ * - Past `threshold` of the exit zone in the direction of travel: continue
+ * - A flick faster than `flickVelocity`: continue whatever the distance
+ * - Otherwise: return to where the gesture came from
+ * Stops inside a hold phase are left alone; the camera is already on a pose.
+ *
+ * Velocity and direction come from a page-wide ScrollTrigger; the end of
+ * inertia from an Observer's onStop (no scroll events for `stopDelay`).
+ */
+
+import { gsap } from './vendor/gsap/index.js';
+import { ScrollTrigger } from './vendor/gsap/ScrollTrigger.js';
+import { Observer } from './vendor/gsap/Observer.js';
+
+gsap.registerPlugin(ScrollTrigger, Observer);
+
+export class ScrollSnap {
+  /**
+   * @param {Object} options
+   * @param {SceneManager} options.sceneManager
+   * @param {Function} options.getProgress - Current (unsmoothed) scroll progress
+   * @param {Function} options.glideTo - (progress, {duration}) => Promise, moves scroll
+   * @param {Function} options.isBusy - True while something else is driving scroll
+   * @param {boolean} options.enabled
+   */
+  constructor(options = {}) {
+    this.sceneManager = options.sceneManager;
+    this.getProgress = options.getProgress;
+    this.glideTo = options.glideTo;
+    this.isBusy = options.isBusy || (() => false);
+    this.enabled = Boolean(options.enabled);
+
+    this.trigger = null;
+    this.observer = null;
+    this.gesture = { direction: 0, peakVelocity: 0 };
+    this.snapping = false;
+
+    this.config = {
+      threshold: 0.35, // Share of the exit zone past which the snap continues
+      flickVelocity: 1800, // px/s; faster gestures always continue
+      stopDelay: 0.18, // Seconds without scroll events that count as stopped
+      minGlide: 0.45, // Glide duration range (seconds)
+      maxGlide: 1.1,
+      tolerance: 0.001, // Progress close enough to a target to skip the glide
+    };
+
+    this.callbacks = {
+      onSnap: [], // (scene, index, progress)
+    };
+  }
+
+  init() {
+    this.trigger = ScrollTrigger.create({
+      start: 0,
+      end: 'max',
+      onUpdate: (self) => this.track(self.getVelocity(), self.direction),
+    });
+
+    this.observer = Observer.create({
+      target: window,
+      type: 'scroll,touch',
+      onStopDelay: this.config.stopDelay,
+      onStop: () => this.settle(),
+    });
+
+    this.setEnabled(this.enabled);
+  }
+
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!this.observer) return;
+
+    if (enabled) {
+      this.trigger.enable();
+      this.observer.enable();
+    } else {
+      this.trigger.disable();
+      this.observer.disable();
+    }
+    this.resetGesture();
+  }
+
+  /**
+   * Remember the gesture's direction and fastest speed; its own snap
+   * glides don't count
+   */
+  track(velocity, direction) {
+    if (this.snapping || this.isBusy()) return;
+
+    if (direction !== this.gesture.direction) {
+      this.gesture.direction = direction;
+      this.gesture.peakVelocity = 0;
+    }
+    this.gesture.peakVelocity = Math.max(this.gesture.peakVelocity, Math.abs(velocity));
+  }
+
+  /**
+   * Scroll has come to rest: glide off the exit rail if it stopped on one
+   */
+  settle() {
+    const gesture = this.gesture;
+    this.resetGesture();
+    if (!this.enabled || this.snapping || this.isBusy() || this.observer.isPressed) return;
+
+    const progress = this.getProgress();
+    const target = this.getSnapTarget(progress, gesture);
+    if (!target || Math.abs(target.progress - progress) < this.config.tolerance) return;
+
+    const sceneCount = this.sceneManager.scenes.length;
+    const distance = Math.abs(target.progress - progress) * sceneCount; // In scenes
+    const duration = gsap.utils.clamp(this.config.minGlide, this.config.maxGlide, this.config.minGlide + distance * 4);
+
+    this.snapping = true;
+    this.callbacks.onSnap.forEach(cb => cb(this.sceneManager.scenes[target.index], target.index, target.progress));
+    Promise.resolve(this.glideTo(target.progress, { duration }))
+      .finally(() => {
+        this.snapping = false;
+      });
+  }
+
+  /**
+   * Where to glide from a resting progress, or null to stay put
+   * @returns {{index: number, progress: number}|null}
+   */
+  getSnapTarget(progress, gesture) {
+    const { index, localProgress } = this.sceneManager.getCurrentScene(progress);
+    const lastIndex = this.sceneManager.scenes.length - 1;
+    if (index >= lastIndex) return null;
+
+    const exitZone = this.sceneManager.config.anticipationDistance;
+    const holdSpan = 1 - exitZone;
+    if (exitZone <= 0 || localProgress <= holdSpan) return null;
+
+    // 0 = end of this scene's hold, 1 = start of the next scene
+    const exitProgress = (localProgress - holdSpan) / exitZone;
+    const forward = gesture.direction >= 0;
+
+    let toNext;
+    if (gesture.peakVelocity > this.config.flickVelocity) {
+      toNext = forward;
+    } else {
+      toNext = forward
+        ? exitProgress > this.config.threshold
+        : exitProgress > 1 - this.config.threshold;
+    }
+
+    const targetIndex = toNext ? index + 1 : index;
+    return { index: targetIndex, progress: this.sceneManager.getSceneAnchor(targetIndex) };
+  }
+
+  resetGesture() {
+    this.gesture = { direction: 0, peakVelocity: 0 };
+  }
+
+  /**
+   * Register event callbacks
+   */
+  on(event, callback) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].push(callback);
+    }
+  }
+
+  dispose() {
+    this.trigger?.kill();
+    this.observer?.kill();
+    this.trigger = null;
+    this.observer = null;
+  }
+}
@@ -0,0 +1,111 @@
+/**
+ * SEEDED RANDOM - Shared Deterministic PRNG
+ *
+ * Every random choice in the experience (orbit speeds, float speeds,
+ * particle fields, depth particles, shake offsets, morph sampling) draws
+ * from one of these, so a seed reproduces the whole scene.
+ *
+ * Streams:
+ * - The app owns a root generator seeded from config or ?seed=
+ * - Each consumer takes its own fork(label), so adding draws in one
+ *   system never shifts the values another system sees
+ */
+
+export class SeededRandom {
+  /**
+   * @param {number|string} seed - Non-numeric strings are hashed; omitted means a fresh random seed
+   */
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.seed = normalizeSeed(seed);
+    this.state = this.seed;
+  }
+
+  /**
+   * Seed for runs that don't ask for one (logged so they can be replayed)
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Read ?seed= from the query string
+   * @returns {number|null}
+   */
+  static fromURL(search = window.location.search) {
+    const value = new URLSearchParams(search).get('seed');
+    return value ? normalizeSeed(value) : null;
+  }
+
+  /**
+   * Next value in [0, 1) - mulberry32
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Value in [min, max)
+   */
+  range(min, max) {
+    return min + (max - min) * this.next();
+  }
+
+  /**
+   * Value in [-span / 2, span / 2)
+   */
+  centered(span = 1) {
+    return (this.next() - 0.5) * span;
+  }
+
+  /**
+   * Integer in [min, max)
+   */
+  int(min, max) {
+    return Math.floor(this.range(min, max));
+  }
+
+  pick(array) {
+    return array[Math.floor(this.next() * array.length)];
+  }
+
+  /**
+   * Independent child stream, stable for a given seed and label
+   */
+  fork(label) {
+    return new SeededRandom((this.seed ^ hashString(String(label))) >>> 0);
+  }
+
+  /**
+   * Rewind to the start of the sequence
+   */
+  reset() {
+    this.state = this.seed;
+  }
+}
+
+/**
+ * "42" and 42 are the same seed; any other string is hashed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'string') {
+    const number = Number(seed);
+    return Number.isFinite(number) && seed.trim() !== '' ? number >>> 0 : hashString(seed);
+  }
+  return seed >>> 0;
+}
+
+/**
+ * FNV-1a
+ */
+function hashString(value) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
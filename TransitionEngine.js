@@ -11,11 +11,23 @@
  * 4. SETTLE - Arrival easing with slight overshoot
  * 5. HOLD - Static scene state
  * 
+ * Transitions run in both scroll directions. Callbacks receive a
+ * direction flag (1 = toward the next scene, -1 = toward the previous),
+ * and a morph interrupted by a scroll reversal turns around in place.
+ * 
+ * With `config.scrubbed` the phases are a pure function of scroll position
+ * across a transition window instead of advancing on a clock.
+ * 
  * Philosophy:
  * Transitions are performances, not cuts.
  * Every scene change tells a micro-story.
  */
 
+import * as THREE from './vendor/three.module.js';
+import { SeededRandom } from './SeededRandom.js';
+
+const SCRUB_PHASES = ['ANTICIPATE', 'MORPHING', 'SETTLING'];
+
 export class TransitionEngine {
   constructor(sceneManager) {
     this.sceneManager = sceneManager;
@@ -24,12 +36,20 @@ export class TransitionEngine {
     this.transitionProgress = 0;
     this.currentTransition = null;
     
+    // Scene the engine has settled on (or is morphing toward)
+    this.activeIndex = null;
+    this.anticipation = null;
+    
     // Transition timing configuration
     this.config = {
       anticipationDuration: 0.3, // seconds
       morphDuration: 0.8,
       settleDuration: 0.4,
       overshootAmount: 0.08,
+      anticipateThreshold: 0.85, // Local progress where forward anticipation begins
+      morphThreshold: 0.95, // Local progress where the scene boundary is crossed
+      scrubbed: false, // Derive transition progress from scroll instead of time
+      scrubWindow: null, // Share of the outgoing scene the scrubbed transition spans (defaults to SceneManager anticipationDistance)
     };
     
     // Track previous scroll for direction detection
@@ -42,6 +62,7 @@ export class TransitionEngine {
       onMorph: [],
       onSettle: [],
       onComplete: [],
+      onCancel: [],
     };
   }
 
@@ -57,80 +78,212 @@ export class TransitionEngine {
       this.previousScroll = scrollProgress;
     }
 
-    const { scene, index, localProgress } = this.sceneManager.getCurrentScene(scrollProgress);
+    if (this.config.scrubbed) {
+      this.updateScrubbed(scrollProgress);
+      return;
+    }
+
+    const { index, localProgress } = this.sceneManager.getCurrentScene(scrollProgress);
+    const targetIndex = this.getTargetIndex(index, localProgress);
     
-    // Check if we're in transition zone
-    const isAnticipating = localProgress > 0.85 && this.scrollDirection > 0;
-    const isTransitioning = localProgress > 0.95;
+    if (this.activeIndex === null) {
+      this.setActiveIndex(targetIndex);
+    }
     
     // State machine
     switch (this.state) {
       case 'IDLE':
-        if (isAnticipating) {
-          this.enterAnticipation(scene, index);
+        if (targetIndex !== this.activeIndex) {
+          this.enterMorph(this.activeIndex, targetIndex);
+        } else {
+          const direction = this.getAnticipationDirection(index, localProgress);
+          if (direction) this.enterAnticipation(direction);
         }
         break;
         
       case 'ANTICIPATE':
-        if (isTransitioning) {
-          this.enterMorph(scene, index);
-        } else if (!isAnticipating) {
-          this.state = 'IDLE';
+        if (targetIndex !== this.activeIndex) {
+          this.enterMorph(this.activeIndex, targetIndex);
+        } else if (this.getAnticipationDirection(index, localProgress) !== this.anticipation.direction) {
+          this.cancelAnticipation();
         }
         break;
         
       case 'MORPHING':
+        // Forced morphs hold their course while scroll catches up
+        if (targetIndex === this.currentTransition.fromIndex && !this.currentTransition.forced) {
+          this.reverseMorph();
+        }
         this.updateMorph(deltaTime);
         break;
         
       case 'SETTLING':
-        this.updateSettle(deltaTime);
+        if (targetIndex !== this.activeIndex) {
+          this.enterMorph(this.activeIndex, targetIndex);
+        } else {
+          this.updateSettle(deltaTime);
+        }
         break;
     }
   }
 
+  /**
+   * Scene index on the scroll side of the nearest boundary.
+   * The boundary sits at morphThreshold of the outgoing scene.
+   */
+  getTargetIndex(index, localProgress) {
+    const lastIndex = this.sceneManager.scenes.length - 1;
+    return localProgress > this.config.morphThreshold
+      ? Math.min(lastIndex, index + 1)
+      : index;
+  }
+
+  /**
+   * Direction of the boundary being approached, or 0 if none.
+   * Backward anticipation mirrors forward: it spans the same distance
+   * on the far side of the boundary behind the active scene.
+   */
+  getAnticipationDirection(index, localProgress) {
+    const { anticipateThreshold, morphThreshold } = this.config;
+    const lastIndex = this.sceneManager.scenes.length - 1;
+    
+    if (this.scrollDirection > 0) {
+      const approaching = index === this.activeIndex
+        && localProgress > anticipateThreshold
+        && localProgress <= morphThreshold;
+      return approaching && this.activeIndex < lastIndex ? 1 : 0;
+    }
+    
+    if (this.activeIndex === 0) return 0;
+    // Zone = tail of the previous scene past its boundary + head of this one
+    const span = morphThreshold - anticipateThreshold;
+    const tail = 1 - morphThreshold;
+    const pastBoundary = index === this.activeIndex - 1 && localProgress > morphThreshold;
+    const nearStart = index === this.activeIndex && localProgress < span - tail;
+    return pastBoundary || nearStart ? -1 : 0;
+  }
+
+  /**
+   * Settle at a scroll position with no transition and no callbacks
+   * (deep links and history jumps land mid-journey)
+   */
+  jumpTo(scrollProgress) {
+    this.reset();
+    this.previousScroll = scrollProgress;
+    this.scrollDirection = 1;
+    
+    if (this.config.scrubbed) {
+      const position = this.getScrubPosition(scrollProgress);
+      this.setActiveIndex(position.settledIndex ?? position.fromIndex);
+      return;
+    }
+    
+    const { index, localProgress } = this.sceneManager.getCurrentScene(scrollProgress);
+    this.setActiveIndex(this.getTargetIndex(index, localProgress));
+  }
+
+  /**
+   * Record the scene the engine considers current
+   */
+  setActiveIndex(index) {
+    this.activeIndex = index;
+    this.sceneManager.currentSceneIndex = index;
+  }
+
   /**
    * Enter anticipation phase
+   * @param {number} direction - 1 toward the next scene, -1 toward the previous
    */
-  enterAnticipation(scene, index) {
+  enterAnticipation(direction) {
+    const scene = this.sceneManager.scenes[this.activeIndex];
+    
     this.state = 'ANTICIPATE';
     this.transitionProgress = 0;
+    this.anticipation = { scene, index: this.activeIndex, direction };
     
-    console.log(`[Transition] Anticipating exit from ${scene.name}`);
+    console.log(`[Transition] Anticipating ${direction > 0 ? 'forward' : 'backward'} exit from ${scene.name}`);
     
     // Trigger anticipation callbacks
-    this.callbacks.onAnticipate.forEach(cb => cb(scene, index));
+    this.callbacks.onAnticipate.forEach(cb => cb(scene, this.activeIndex, direction));
     
     // Subtle pre-transition movements
-    this.anticipatoryMotion(scene);
+    this.anticipatoryMotion(scene, direction);
+  }
+
+  /**
+   * Abandon anticipation (user turned around or left the zone)
+   */
+  cancelAnticipation() {
+    const { scene, index, direction } = this.anticipation;
+    
+    this.state = 'IDLE';
+    this.anticipation = null;
+    
+    console.log(`[Transition] Cancelled anticipation from ${scene.name}`);
+    
+    this.callbacks.onCancel.forEach(cb => cb(scene, index, direction));
   }
 
   /**
    * Enter morph phase
    */
-  enterMorph(scene, index) {
+  enterMorph(fromIndex, toIndex) {
+    const scenes = this.sceneManager.scenes;
+    const direction = toIndex > fromIndex ? 1 : -1;
+    
     this.state = 'MORPHING';
     this.transitionProgress = 0;
+    this.anticipation = null;
     
-    const nextScene = this.sceneManager.scenes[index + 1];
-    
-    console.log(`[Transition] Morphing from ${scene.name} to ${nextScene?.name || 'end'}`);
+    console.log(`[Transition] Morphing ${direction > 0 ? 'forward' : 'backward'} from ${scenes[fromIndex].name} to ${scenes[toIndex].name}`);
     
     this.currentTransition = {
-      from: scene,
-      to: nextScene,
+      from: scenes[fromIndex],
+      to: scenes[toIndex],
+      fromIndex,
+      toIndex,
+      direction,
+      reversed: false,
       startTime: Date.now(),
     };
+    this.setActiveIndex(toIndex);
     
     // Trigger morph callbacks
-    this.callbacks.onMorph.forEach(cb => cb(scene, nextScene, index));
+    this.callbacks.onMorph.forEach(cb => cb(scenes[fromIndex], scenes[toIndex], fromIndex, direction));
+  }
+
+  /**
+   * Turn the running morph around, keeping visual continuity.
+   * onMorph fires again with swapped scenes and `transition.reversed` set.
+   */
+  reverseMorph() {
+    const previous = this.currentTransition;
+    
+    this.transitionProgress = 1 - this.transitionProgress;
+    this.currentTransition = {
+      ...previous,
+      from: previous.to,
+      to: previous.from,
+      fromIndex: previous.toIndex,
+      toIndex: previous.fromIndex,
+      direction: -previous.direction,
+      reversed: !previous.reversed,
+    };
+    this.setActiveIndex(previous.fromIndex);
+    
+    const { from, to, fromIndex, direction } = this.currentTransition;
+    
+    console.log(`[Transition] Reversing morph toward ${to.name}`);
+    
+    this.callbacks.onMorph.forEach(cb => cb(from, to, fromIndex, direction));
   }
 
   /**
    * Update morph phase
    */
   updateMorph(deltaTime) {
-    this.transitionProgress += (deltaTime / this.config.morphDuration);
+    const duration = this.currentTransition?.morphDuration ?? this.config.morphDuration;
+    this.transitionProgress += (deltaTime / duration);
     
     if (this.transitionProgress >= 1) {
       this.enterSettle();
@@ -166,17 +319,208 @@ export class TransitionEngine {
     }
   }
 
+  /**
+   * Scroll-scrubbed update.
+   * Each boundary owns a transition window at the end of the outgoing scene.
+   * Position inside the window maps directly onto anticipate/morph/settle,
+   * split in proportion to their configured durations, so the same scroll
+   * position always yields the same state and progress.
+   */
+  updateScrubbed(scrollProgress) {
+    const position = this.getScrubPosition(scrollProgress);
+    
+    if (this.activeIndex === null) {
+      this.setActiveIndex(position.settledIndex ?? position.fromIndex);
+    }
+    
+    // Outside every window - finish whatever was in flight
+    if (position.progress === null) {
+      if (this.currentTransition) this.finishScrubbed(position.settledIndex);
+      if (position.settledIndex !== this.activeIndex) {
+        this.playThrough(this.activeIndex, position.settledIndex);
+      }
+      this.state = 'IDLE';
+      this.transitionProgress = 0;
+      return;
+    }
+    
+    const { fromIndex, progress } = position;
+    const toIndex = fromIndex + 1;
+    let transition = this.currentTransition;
+    const samePair = transition
+      && Math.min(transition.fromIndex, transition.toIndex) === fromIndex;
+    
+    // Entered a window - begin a transition from whichever side we came from
+    if (!samePair) {
+      if (transition) {
+        this.finishScrubbed(transition.direction > 0 ? transition.toIndex : transition.fromIndex);
+      }
+      const forward = this.activeIndex <= fromIndex;
+      const origin = forward ? fromIndex : toIndex;
+      if (this.activeIndex !== origin) this.playThrough(this.activeIndex, origin);
+      transition = this.beginScrubbed(origin, forward ? toIndex : fromIndex);
+    }
+    
+    // Turned around after the morph began - run the transition backward
+    if (transition.reached >= 1 && this.scrollDirection !== transition.direction) {
+      this.reverseMorph();
+      transition = this.currentTransition;
+      transition.reached = 1; // onMorph just fired; onSettle is owed again
+    }
+    
+    // State comes from position alone; callbacks fire once per phase reached
+    const q = transition.direction > 0 ? progress : 1 - progress;
+    const { phase, phaseProgress } = this.getScrubPhase(q);
+    
+    this.advanceScrubbed(phase);
+    this.state = SCRUB_PHASES[phase];
+    this.transitionProgress = phaseProgress;
+    transition.progress = q;
+  }
+
+  /**
+   * Locate scroll relative to the transition windows
+   * @returns {{fromIndex: number, progress: number|null, settledIndex: number|null}}
+   */
+  getScrubPosition(scrollProgress) {
+    const { index, localProgress } = this.sceneManager.getCurrentScene(scrollProgress);
+    const lastIndex = this.sceneManager.scenes.length - 1;
+    const windowSize = this.config.scrubWindow ?? this.sceneManager.config.anticipationDistance;
+    const start = 1 - windowSize;
+    
+    if (index < lastIndex && localProgress >= 1) {
+      return { fromIndex: index, progress: null, settledIndex: index + 1 };
+    }
+    if (index < lastIndex && windowSize > 0 && localProgress > start) {
+      return { fromIndex: index, progress: (localProgress - start) / windowSize, settledIndex: null };
+    }
+    return { fromIndex: index, progress: null, settledIndex: index };
+  }
+
+  /**
+   * Map transition progress (0-1 in travel direction) onto a phase
+   */
+  getScrubPhase(q) {
+    const { anticipationDuration, morphDuration, settleDuration } = this.config;
+    const total = anticipationDuration + morphDuration + settleDuration;
+    const bounds = [
+      anticipationDuration / total,
+      (anticipationDuration + morphDuration) / total,
+      1,
+    ];
+    
+    let start = 0;
+    for (let phase = 0; phase < bounds.length; phase++) {
+      if (q < bounds[phase] || phase === bounds.length - 1) {
+        const span = bounds[phase] - start;
+        return {
+          phase,
+          phaseProgress: span > 0 ? Math.min(1, Math.max(0, (q - start) / span)) : 1,
+        };
+      }
+      start = bounds[phase];
+    }
+  }
+
+  /**
+   * Start a scrubbed transition (no callbacks until a phase is reached)
+   */
+  beginScrubbed(fromIndex, toIndex) {
+    const scenes = this.sceneManager.scenes;
+    this.currentTransition = {
+      from: scenes[fromIndex],
+      to: scenes[toIndex],
+      fromIndex,
+      toIndex,
+      direction: toIndex > fromIndex ? 1 : -1,
+      reversed: false,
+      scrubbed: true,
+      reached: -1,
+      progress: 0,
+      startTime: Date.now(),
+    };
+    return this.currentTransition;
+  }
+
+  /**
+   * Fire callbacks for every phase between the last one reached and `phase`
+   */
+  advanceScrubbed(phase) {
+    const transition = this.currentTransition;
+    const { from, to, fromIndex, direction } = transition;
+    
+    while (transition.reached < phase) {
+      transition.reached++;
+      
+      switch (SCRUB_PHASES[transition.reached]) {
+        case 'ANTICIPATE':
+          console.log(`[Transition] Anticipating ${direction > 0 ? 'forward' : 'backward'} exit from ${from.name}`);
+          this.callbacks.onAnticipate.forEach(cb => cb(from, fromIndex, direction));
+          this.anticipatoryMotion(from, direction);
+          break;
+          
+        case 'MORPHING':
+          console.log(`[Transition] Morphing ${direction > 0 ? 'forward' : 'backward'} from ${from.name} to ${to.name}`);
+          this.setActiveIndex(transition.toIndex);
+          this.callbacks.onMorph.forEach(cb => cb(from, to, fromIndex, direction));
+          break;
+          
+        case 'SETTLING':
+          console.log(`[Transition] Settling into ${to.name}`);
+          this.callbacks.onSettle.forEach(cb => cb(transition));
+          break;
+      }
+    }
+  }
+
+  /**
+   * Close the scrubbed transition after scroll left its window
+   * @param {number} settledIndex - Scene the scroll ended up in
+   */
+  finishScrubbed(settledIndex) {
+    const transition = this.currentTransition;
+    
+    if (settledIndex === transition.toIndex) {
+      this.advanceScrubbed(SCRUB_PHASES.length - 1);
+      this.callbacks.onComplete.forEach(cb => cb(transition));
+    } else if (transition.reached < 1) {
+      this.anticipation = { scene: transition.from, index: transition.fromIndex, direction: transition.direction };
+      this.cancelAnticipation();
+    } else {
+      // Morph began but scroll went back out the near side in one jump
+      this.reverseMorph();
+      this.currentTransition.reached = 1;
+      this.advanceScrubbed(SCRUB_PHASES.length - 1);
+      this.callbacks.onComplete.forEach(cb => cb(this.currentTransition));
+    }
+    
+    this.currentTransition = null;
+    this.anticipation = null;
+  }
+
+  /**
+   * Fire a full transition for each boundary skipped in a single frame
+   */
+  playThrough(fromIndex, toIndex) {
+    const step = toIndex > fromIndex ? 1 : -1;
+    for (let i = fromIndex; i !== toIndex; i += step) {
+      this.beginScrubbed(i, i + step);
+      this.finishScrubbed(i + step);
+    }
+    this.setActiveIndex(toIndex);
+  }
+
   /**
    * Apply anticipatory motion to scene objects
    * Subtle movements hinting at upcoming transition
    */
-  anticipatoryMotion(scene) {
+  anticipatoryMotion(scene, direction = this.scrollDirection) {
     const objects = this.sceneManager.getSceneObjects(scene.name);
     
     objects.forEach(obj => {
-      // Add slight forward momentum
+      // Add slight momentum in the direction of travel
       if (obj.position) {
-        const anticipationOffset = this.scrollDirection * 0.5;
+        const anticipationOffset = direction * 0.5;
         obj.position.z += anticipationOffset;
       }
     });
@@ -210,12 +554,35 @@ export class TransitionEngine {
   }
 
   /**
-   * Register callback for transition events
+   * Register callback for transition events; unknown events are ignored
+   * @returns {Function} Unsubscribe
    */
   on(event, callback) {
-    if (this.callbacks[event]) {
-      this.callbacks[event].push(callback);
-    }
+    if (!this.callbacks[event]) return () => {};
+    // Replace rather than mutate, so callbacks already firing are unaffected
+    this.callbacks[event] = [...this.callbacks[event], callback];
+    return () => this.off(event, callback);
+  }
+
+  /**
+   * Register a callback for the next occurrence only
+   * @returns {Function} Unsubscribe (before it fires)
+   */
+  once(event, callback) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      callback(...args);
+    };
+    wrapper.callback = callback;
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Remove a callback added with on() or once()
+   */
+  off(event, callback) {
+    if (!this.callbacks[event]) return;
+    this.callbacks[event] = this.callbacks[event].filter(cb => cb !== callback && cb.callback !== callback);
   }
 
   /**
@@ -231,23 +598,40 @@ export class TransitionEngine {
   }
 
   /**
-   * Force transition to specific scene (for special interactions)
+   * Morph straight to a scene, however many scenes away, over `duration`
+   * seconds. Scroll doesn't turn it around; the caller is expected to move
+   * scroll to the same scene meanwhile (see CinematicExperience.goToScene).
+   * The duration applies to this transition only.
    */
   forceTransitionTo(sceneIndex, duration = 1) {
-    const targetScene = this.sceneManager.scenes[sceneIndex];
+    const scenes = this.sceneManager.scenes;
+    const targetScene = scenes[sceneIndex];
     if (!targetScene) return;
     
+    const fromIndex = this.activeIndex ?? this.sceneManager.currentSceneIndex;
+    if (fromIndex === sceneIndex) return;
+    const direction = sceneIndex > fromIndex ? 1 : -1;
+    
     console.log(`[Transition] Forcing transition to ${targetScene.name}`);
     
     this.state = 'MORPHING';
     this.transitionProgress = 0;
-    this.config.morphDuration = duration;
+    this.anticipation = null;
     
     this.currentTransition = {
-      from: this.sceneManager.scenes[this.sceneManager.currentSceneIndex],
+      from: scenes[fromIndex],
       to: targetScene,
+      fromIndex,
+      toIndex: sceneIndex,
+      direction,
+      reversed: false,
       forced: true,
+      morphDuration: duration,
+      startTime: Date.now(),
     };
+    this.setActiveIndex(sceneIndex);
+    
+    this.callbacks.onMorph.forEach(cb => cb(scenes[fromIndex], targetScene, fromIndex, direction));
   }
 
   /**
@@ -257,6 +641,8 @@ export class TransitionEngine {
     this.state = 'IDLE';
     this.transitionProgress = 0;
     this.currentTransition = null;
+    this.anticipation = null;
+    this.activeIndex = null;
   }
 }
 
@@ -264,82 +650,280 @@ export class TransitionEngine {
  * MORPH TARGET SYSTEM
  * 
  * Manages geometry morphing between scene transitions.
- * Uses vertex interpolation for smooth shape transformations.
+ * Source and target are resampled to a shared point count, so any two
+ * shapes can morph regardless of topology. Originals are never touched:
+ * the morph writes into its own geometry, and progress can run either way.
+ * 
+ * Inputs can be a BufferGeometry (local space) or an Object3D, whose
+ * meshes are sampled in world space.
  */
 export class MorphTargetManager {
   constructor() {
     this.morphPairs = new Map(); // Map of object ID to morph targets
     this.activeMorphs = [];
+    this.bindings = new Map(); // Map of object ID to transition-driven ranges
   }
 
   /**
    * Register a morph pair (source geometry -> target geometry)
+   * @param {string} objectId
+   * @param {THREE.BufferGeometry|THREE.Object3D} source
+   * @param {THREE.BufferGeometry|THREE.Object3D} target
+   * @param {object} options - { pointCount, duration, seed }
+   * @returns {THREE.BufferGeometry} Geometry the morph writes into
    */
-  registerMorph(objectId, sourceGeometry, targetGeometry, duration = 1) {
+  registerMorph(objectId, source, target, options = {}) {
+    const pointCount = options.pointCount ?? 1024;
+    const seed = options.seed ?? 1;
+    
+    const sourcePositions = this.samplePoints(source, pointCount, seed);
+    const targetPositions = this.samplePoints(target, pointCount, seed + 1);
+    
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(sourcePositions.slice(), 3));
+    geometry.computeBoundingSphere();
+    
+    this.dispose(objectId);
     this.morphPairs.set(objectId, {
-      source: sourceGeometry,
-      target: targetGeometry,
-      duration,
+      source: sourcePositions,
+      target: targetPositions,
+      geometry,
+      duration: options.duration ?? 1,
       progress: 0,
+      direction: 1,
       active: false,
     });
+    
+    return geometry;
   }
 
   /**
    * Trigger morph animation
+   * @param {number} direction - 1 plays toward the target, -1 back to the source
    */
-  triggerMorph(objectId) {
+  triggerMorph(objectId, direction = 1) {
     const morph = this.morphPairs.get(objectId);
     if (morph) {
       morph.active = true;
-      morph.progress = 0;
-      this.activeMorphs.push(objectId);
+      morph.direction = direction;
+      if (!this.activeMorphs.includes(objectId)) {
+        this.activeMorphs.push(objectId);
+      }
+    }
+  }
+
+  /**
+   * Set morph progress directly (0 = source, 1 = target)
+   */
+  setProgress(objectId, progress) {
+    const morph = this.morphPairs.get(objectId);
+    if (!morph) return;
+    
+    const clamped = Math.min(1, Math.max(0, progress));
+    if (clamped === morph.progress && morph.geometry.userData.morphApplied) return;
+    
+    morph.progress = clamped;
+    this.interpolateGeometry(morph, clamped);
+  }
+
+  /**
+   * Drive a morph from TransitionEngine progress.
+   * The morph runs from 0 at `from` to 1 at `to`, spread evenly across the
+   * scene transitions between them, and rewinds when scrolling back.
+   * @param {string} objectId
+   * @param {TransitionEngine} transitionEngine
+   * @param {{from: string, to: string}} range - Scene names
+   */
+  bindToTransitions(objectId, transitionEngine, range) {
+    const scenes = transitionEngine.sceneManager.scenes;
+    const fromIndex = scenes.findIndex(s => s.name === range.from);
+    const toIndex = scenes.findIndex(s => s.name === range.to);
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) {
+      console.warn(`[Morph] Cannot bind ${objectId} to ${range.from} -> ${range.to}`);
+      return;
+    }
+    
+    this.bindings.set(objectId, { transitionEngine, fromIndex, toIndex });
+  }
+
+  /**
+   * Morph progress implied by the transition engine for a binding
+   */
+  getBoundProgress(binding) {
+    const { transitionEngine, fromIndex, toIndex } = binding;
+    const { state, transition } = transitionEngine.getTransitionData();
+    
+    // Continuous scene position, e.g. 1.4 = 40% of the way from scene 1 to 2
+    let position = transitionEngine.activeIndex ?? fromIndex;
+    if (transition && (state === 'MORPHING' || state === 'SETTLING')) {
+      const travelled = state === 'MORPHING' ? transitionEngine.getEasedProgress('morph') : 1;
+      // Forced transitions can span several scenes
+      position = transition.fromIndex + (transition.toIndex - transition.fromIndex) * travelled;
     }
+    
+    return (position - fromIndex) / (toIndex - fromIndex);
   }
 
   /**
    * Update all active morphs
    */
   update(deltaTime) {
+    this.bindings.forEach((binding, id) => {
+      this.setProgress(id, this.getBoundProgress(binding));
+    });
+    
     this.activeMorphs = this.activeMorphs.filter(id => {
       const morph = this.morphPairs.get(id);
       if (!morph || !morph.active) return false;
       
-      morph.progress += deltaTime / morph.duration;
+      const progress = morph.progress + (deltaTime / morph.duration) * morph.direction;
+      const done = progress >= 1 || progress <= 0;
+      
+      // Perform vertex interpolation
+      morph.progress = Math.min(1, Math.max(0, progress));
+      this.interpolateGeometry(morph, this.easeInOutQuart(morph.progress));
       
-      if (morph.progress >= 1) {
+      if (done) {
         morph.active = false;
-        morph.progress = 1;
         return false;
       }
-      
-      // Perform vertex interpolation
-      this.interpolateGeometry(morph);
-      
       return true;
     });
   }
 
   /**
-   * Interpolate between source and target geometry vertices
+   * Write the blend of source and target into the morph's own buffer
    */
-  interpolateGeometry(morph) {
-    const { source, target, progress } = morph;
-    const eased = this.easeInOutQuart(progress);
+  interpolateGeometry(morph, amount) {
+    const { source, target, geometry } = morph;
+    const positions = geometry.attributes.position.array;
     
-    // This is a simplified version - in production, you'd need to ensure
-    // geometries have same vertex count and properly update buffer attributes
+    for (let i = 0; i < positions.length; i++) {
+      positions[i] = source[i] + (target[i] - source[i]) * amount;
+    }
     
-    if (source.attributes && target.attributes) {
-      const sourcePos = source.attributes.position.array;
-      const targetPos = target.attributes.position.array;
+    geometry.attributes.position.needsUpdate = true;
+    geometry.computeBoundingSphere();
+    geometry.userData.morphApplied = true;
+  }
+
+  /**
+   * Resample a geometry or object to exactly `count` points.
+   * Surfaces are sampled by triangle area; point/line geometry falls back
+   * to its vertices. Points are sorted on a latitude/longitude spiral so
+   * neighbouring indices stay neighbours in both shapes.
+   */
+  samplePoints(input, count, seed) {
+    const random = new SeededRandom(seed);
+    const triangles = [];
+    const vertices = [];
+    const a = new THREE.Vector3();
+    const b = new THREE.Vector3();
+    const c = new THREE.Vector3();
+    
+    const collect = (geometry, matrix, allowFaces) => {
+      const position = geometry.attributes.position;
+      if (!position) return;
+      const index = geometry.index;
+      const readVertex = (i, target) => {
+        target.fromBufferAttribute(position, i);
+        if (matrix) target.applyMatrix4(matrix);
+        return target;
+      };
+      
+      const triangleCount = index ? index.count / 3 : position.count / 3;
+      const hasFaces = allowFaces && Number.isInteger(triangleCount) && triangleCount > 0;
       
-      for (let i = 0; i < sourcePos.length; i++) {
-        sourcePos[i] = sourcePos[i] + (targetPos[i] - sourcePos[i]) * eased;
+      if (hasFaces) {
+        for (let t = 0; t < triangleCount; t++) {
+          const i0 = index ? index.getX(t * 3) : t * 3;
+          const i1 = index ? index.getX(t * 3 + 1) : t * 3 + 1;
+          const i2 = index ? index.getX(t * 3 + 2) : t * 3 + 2;
+          readVertex(i0, a);
+          readVertex(i1, b);
+          readVertex(i2, c);
+          const area = b.clone().sub(a).cross(c.clone().sub(a)).length() * 0.5;
+          if (area > 0) triangles.push({ a: a.clone(), b: b.clone(), c: c.clone(), area });
+        }
+      } else {
+        for (let i = 0; i < position.count; i++) {
+          vertices.push(readVertex(i, new THREE.Vector3()));
+        }
       }
+    };
+    
+    if (input.isBufferGeometry) {
+      collect(input, null, true);
+    } else {
+      input.updateMatrixWorld(true);
+      input.traverse((child) => {
+        if ((child.isMesh || child.isPoints || child.isLine) && child.geometry) {
+          collect(child.geometry, child.matrixWorld, child.isMesh);
+        }
+      });
+    }
+    
+    const points = [];
+    if (triangles.length) {
+      const cumulative = [];
+      let totalArea = 0;
+      triangles.forEach((tri) => {
+        totalArea += tri.area;
+        cumulative.push(totalArea);
+      });
       
-      source.attributes.position.needsUpdate = true;
+      for (let i = 0; i < count; i++) {
+        const pick = random.next() * totalArea;
+        let lo = 0;
+        let hi = cumulative.length - 1;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          if (cumulative[mid] < pick) lo = mid + 1;
+          else hi = mid;
+        }
+        const tri = triangles[lo];
+        
+        // Uniform barycentric sample
+        const r1 = Math.sqrt(random.next());
+        const r2 = random.next();
+        points.push(new THREE.Vector3()
+          .addScaledVector(tri.a, 1 - r1)
+          .addScaledVector(tri.b, r1 * (1 - r2))
+          .addScaledVector(tri.c, r1 * r2));
+      }
+    } else if (vertices.length) {
+      for (let i = 0; i < count; i++) {
+        points.push(vertices[Math.floor((i / count) * vertices.length)].clone());
+      }
+    } else {
+      for (let i = 0; i < count; i++) points.push(new THREE.Vector3());
     }
+    
+    // Spiral ordering around the centroid keeps correspondences coherent
+    const centroid = points.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(points.length);
+    const bands = Math.max(1, Math.round(Math.sqrt(count) / 2));
+    const keyed = points.map((p) => {
+      const d = p.clone().sub(centroid);
+      const radius = d.length() || 1;
+      const band = Math.min(bands - 1, Math.floor(((d.y / radius) * 0.5 + 0.5) * bands));
+      return { p, key: band * 10 + (Math.atan2(d.z, d.x) + Math.PI) };
+    });
+    keyed.sort((x, y) => x.key - y.key);
+    
+    const out = new Float32Array(count * 3);
+    keyed.forEach(({ p }, i) => {
+      out[i * 3] = p.x;
+      out[i * 3 + 1] = p.y;
+      out[i * 3 + 2] = p.z;
+    });
+    return out;
+  }
+
+  /**
+   * Get the geometry a morph writes into
+   */
+  getGeometry(objectId) {
+    return this.morphPairs.get(objectId)?.geometry || null;
   }
 
   /**
@@ -352,10 +936,20 @@ export class MorphTargetManager {
   }
 
   /**
-   * Clean up
+   * Clean up one morph, or all of them
    */
-  dispose() {
+  dispose(objectId) {
+    if (objectId !== undefined) {
+      this.morphPairs.get(objectId)?.geometry.dispose();
+      this.morphPairs.delete(objectId);
+      this.bindings.delete(objectId);
+      this.activeMorphs = this.activeMorphs.filter(id => id !== objectId);
+      return;
+    }
+    
+    this.morphPairs.forEach(morph => morph.geometry.dispose());
     this.morphPairs.clear();
+    this.bindings.clear();
     this.activeMorphs = [];
   }
 }
@@ -6,6 +6,26 @@
  * - CameraDirector: Cinematic camera choreography  
  * - GeometryLibrary: Hero asset creation
  * - TransitionEngine: Scene morph orchestration
+ * - LightingRig: Per-scene lighting crossfades
+ * - EnvironmentRig: Per-scene HDR image-based lighting, crossfaded
+ * - PostPipeline: Declarative pass chain with per-scene parameter blends
+ * - ColorGrading: Per-scene .cube LUT looks, mixed across transitions
+ * - MotionOrchestrator: DOM reveals keyed to the same scene timeline
+ * - QualityGovernor: Adaptive render tier from measured frame rate
+ * - FrameCapture: Deterministic offline frame rendering
+ * - SeededRandom: One seed for every random choice in the scene
+ * - ParallaxInput: Mouse, touch drag and device tilt as one look input
+ * - MotionPolicy: prefers-reduced-motion plus a persisted on-page toggle
+ * - SceneRouter: URL <-> scene deep links and back/forward between scenes
+ * - ScrollSnap: Optional glide off exit rails once scrolling stops
+ * - ScrollMap: Scene timing measured from where each DOM section sits
+ * - EventBus: Typed lifecycle events, bridged to window as CustomEvents
+ * - SceneAssets: Scene content streamed in and out around the active scene
+ * - AssetPreloader: Loading screen progress until the opening scene is ready
+ * - ContextRecovery: Pause on WebGL context loss, rebuild GPU state on restore
+ *
+ * Public API (window.cinematicApp): events, goToScene(), setScrollSnap(),
+ * getSceneLoadProgress(), capture()
  * 
  * Architecture Philosophy:
  * The experience is a continuous journey through crafted 3D space,
@@ -15,19 +35,59 @@
 import * as THREE from './vendor/three.module.js';
 import { SceneManager } from './SceneManager.js';
 import { CameraDirector } from './CameraDirector.js';
-import { GeometryLibrary } from './GeometryLibrary.js?v=20260213b';
-import { TransitionEngine } from './TransitionEngine.js';
-import { EffectComposer } from './vendor/postprocessing/EffectComposer.js';
-import { RenderPass } from './vendor/postprocessing/RenderPass.js';
-import { UnrealBloomPass } from './vendor/postprocessing/UnrealBloomPass.js';
-import { SMAAPass } from './vendor/postprocessing/SMAAPass.js';
-import { ShaderPass } from './vendor/postprocessing/ShaderPass.js';
-import { SSRPass } from './vendor/postprocessing/SSRPass.js';
-import { GammaCorrectionShader } from './vendor/shaders/GammaCorrectionShader.js';
+import { GeometryLibrary, SCENE_FACTORIES } from './GeometryLibrary.js?v=20260213b';
+import { TransitionEngine, MorphTargetManager } from './TransitionEngine.js';
+import { LightingRig } from './LightingRig.js';
+import { EnvironmentRig } from './EnvironmentRig.js';
+import { MotionOrchestrator } from './MotionOrchestrator.js';
+import { QualityGovernor, QUALITY_PRESETS } from './QualityGovernor.js';
+import { FrameCapture } from './FrameCapture.js';
+import { SeededRandom } from './SeededRandom.js';
+import { ParallaxInput } from './ParallaxInput.js';
+import { MotionPolicy } from './MotionPolicy.js';
+import { PostPipeline, getPipelineParams } from './PostPipeline.js';
+import { ColorGrader } from './ColorGrading.js';
+import { SceneRouter } from './SceneRouter.js';
+import { ScrollSnap } from './ScrollSnap.js';
+import { ScrollMap } from './ScrollMap.js';
+import { EventBus } from './EventBus.js';
+import { SceneAssetLoader } from './SceneAssets.js';
+import { AssetPreloader } from './AssetPreloader.js';
+import { ContextRecovery } from './ContextRecovery.js';
 import { gsap } from './vendor/gsap/index.js';
 
+const CARD_SELECTOR = '.service-card, .project-card, .pricing-card, .philosophy-card';
+// Names a manifest may list in a scene's `assets` (defined in setupSceneAssets)
+const SCENE_ASSETS = ['spaceShark', 'moon'];
+const SCROLL_KEYS = new Set([' ', 'PageDown', 'PageUp', 'ArrowDown', 'ArrowUp', 'Home', 'End']);
+
 class CinematicExperience {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {object|string} options.manifest - Inline scene manifest or JSON file URL
+   * @param {string} options.transitionMode - 'time' (clock-driven) or 'scroll' (scrubbed)
+   * @param {string} options.routing - 'hash' (default) or 'path' scene URLs
+   * @param {string} options.routeBase - Path prefix for 'path' routing
+   * @param {boolean} options.scrollSnap - Snap to scene poses when scrolling stops
+   * @param {number} options.assetRetainDistance - Scenes kept loaded either side of the active one
+   * @param {object[]} options.pipeline - Post-processing pass list (defaults to DEFAULT_PIPELINE)
+   * @param {string[]} options.allowedOrigins - Origins whose postMessage commands are obeyed
+   *   (defaults to this page's own origin)
+   */
+  constructor(options = {}) {
+    this.options = {
+      manifest: options.manifest,
+      transitionMode: options.transitionMode || 'time',
+      capture: options.capture || null,
+      seed: options.seed ?? null,
+      routing: options.routing || 'hash',
+      routeBase: options.routeBase || '/',
+      scrollSnap: Boolean(options.scrollSnap),
+      assetRetainDistance: options.assetRetainDistance ?? 1,
+      pipeline: options.pipeline || undefined,
+      allowedOrigins: options.allowedOrigins || [window.location.origin],
+    };
+
     // Core Three.js components
     this.scene = null;
     this.camera = null;
@@ -40,6 +100,18 @@ class CinematicExperience {
     this.cameraDirector = null;
     this.geometryLibrary = null;
     this.transitionEngine = null;
+    this.lightingRig = null;
+    this.environmentRig = null;
+    this.morphTargetManager = null;
+    this.motionOrchestrator = null;
+    this.qualityGovernor = null;
+    this.parallaxInput = null;
+    this.motionPolicy = null;
+    this.router = null;
+    this.scrollSnap = null;
+    this.scrollMap = null;
+    this.sceneAssets = null;
+    this.preloader = null;
     
     // Background shader
     this.backgroundMesh = null;
@@ -47,21 +119,25 @@ class CinematicExperience {
     this.mainPass = null;
     this.foregroundSilhouette = null;
     this.volumetricBeam = null;
+    this.heroMorphCloud = null;
     this.baseFogDensity = 0.0045;
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
     this.depthParallaxGroups = [];
-    this.ssrPass = null;
+    this.crossfadePass = null;
     this.interactiveObjects = [];
     this.microMotionMeshes = [];
     this.raycastAccumulator = 0;
     this.raycastInterval = 0.1;
-    this.environmentTexture = null;
-    this.environmentRT = null;
-    this.passes = null;
-    this.moon = null;
-    this.moonTextures = [];
-    this.moonLoadToken = 0;
+    this.pipeline = null;
+    this.colorGrader = null;
+    this.contextRecovery = null;
+    this.contextLost = false;
+    this.renderOverride = null;
+    this.navigation = null;
+    this.announcedIndex = null;
+    this.assetDirection = 1; // Which neighbour a hold prefetches
+    this.hoveredObject = null;
     
     // Animation state
     this.clock = new THREE.Clock();
@@ -77,16 +153,29 @@ class CinematicExperience {
     
     // Quality settings
     this.quality = this.detectQuality();
-    this.maxPixelRatio = this.quality === 'high' ? 1.5 : 1;
+    this.maxPixelRatio = QUALITY_PRESETS[this.quality].pixelRatio;
     this.lastViewport = { width: 0, height: 0, pixelRatio: 0 };
     this.scrollTicking = false;
     this.resizeRafId = 0;
     this.handleResize = this.handleResize.bind(this);
     this.handleScroll = this.handleScroll.bind(this);
-    this.handleMouseMove = this.handleMouseMove.bind(this);
+    this.handleScrollIntent = this.handleScrollIntent.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    
+    // Created first so page code can subscribe before init() finishes
+    this.events = new EventBus();
     this.animate = this.animate.bind(this);
     
-    this.init();
+    this.frameCapture = this.options.capture ? new FrameCapture(this, this.options.capture) : null;
+    
+    // Root PRNG; captures fall back to their own fixed seed so ?capture is repeatable
+    this.random = new SeededRandom(this.options.seed ?? this.frameCapture?.options.seed);
+    console.log(`[Init] Random seed ${this.random.seed}`);
+    
+    // goToScene() and other public calls made during boot wait on this
+    this.ready = this.init().catch((error) => this.handleInitError(error));
   }
 
   /**
@@ -123,21 +212,55 @@ class CinematicExperience {
   /**
    * Initialize all systems
    */
-  init() {
+  async init() {
     console.log(`[Init] Starting cinematic experience at ${this.quality} quality`);
     
+    // Load the narrative before touching the GPU so manifest errors fail fast
+    this.sceneManager = new SceneManager();
+    await this.sceneManager.loadManifest(this.options.manifest, {
+      factories: SCENE_FACTORIES,
+      assets: SCENE_ASSETS,
+      post: getPipelineParams(this.options.pipeline),
+    });
+    this.sceneManager.bindSections();
+    if (this.isDisposed) return;
+    
+    this.motionPolicy = new MotionPolicy();
+    
+    // File loaders share its LoadingManager so the loading screen sees every request
+    this.preloader = new AssetPreloader({ element: document.querySelector('.loading-screen') });
+    
+    // Adaptive quality starts from the detected tier and never exceeds it
+    this.qualityGovernor = new QualityGovernor({ tier: this.quality, enabled: !this.frameCapture });
+    
     // Setup Three.js foundation
     this.setupThreeJS();
     
     // Initialize architecture systems
-    this.sceneManager = new SceneManager();
-    this.sceneManager.defineScenes();
     
-    this.cameraDirector = new CameraDirector(this.camera, this.sceneManager);
+    this.parallaxInput = new ParallaxInput();
+    this.cameraDirector = new CameraDirector(
+      this.camera,
+      this.sceneManager,
+      this.random.fork('camera'),
+      this.parallaxInput
+    );
     this.cameraDirector.setQuality(this.quality);
     
-    this.geometryLibrary = new GeometryLibrary(this.scene, this.sceneManager);
+    this.geometryLibrary = new GeometryLibrary(this.scene, this.sceneManager, this.random.fork('geometry'), {
+      loadingManager: this.preloader.manager,
+    });
+    this.cameraDirector.setFocusResolver((name) => this.geometryLibrary.objects[name] || null);
     this.transitionEngine = new TransitionEngine(this.sceneManager);
+    this.transitionEngine.config.scrubbed = this.options.transitionMode === 'scroll';
+    this.lightingRig = new LightingRig(this.scene, this.sceneManager, { quality: this.quality });
+    this.morphTargetManager = new MorphTargetManager();
+    this.motionOrchestrator = new MotionOrchestrator({
+      sceneManager: this.sceneManager,
+      transitionEngine: this.transitionEngine,
+      onCardHover: (card, isHovering) => this.handleCardHover(card, isHovering),
+      reducedMotion: this.motionPolicy.reduced,
+    });
     
     // Create visual content
     this.createBackground();
@@ -147,27 +270,72 @@ class CinematicExperience {
     this.setupScrollControl();
     this.setupTransitionCallbacks();
     this.setupPremiumUI();
+    this.motionOrchestrator.init();
     this.setupContactEnhancements();
     this.setupRaycastInteraction();
     
-    // Start render loop
-    this.animate();
+    // Reduced motion swaps flythroughs for crossfaded cuts
+    this.applyMotionPolicy(this.motionPolicy.reduced);
+    this.motionPolicy.on('onChange', (reduced) => this.applyMotionPolicy(reduced));
+    this.motionPolicy.bindToggle(document.querySelector('.motion-toggle'));
+    this.cameraDirector.on('onCut', () => this.crossfadePass?.start());
+    
+    // Deep links land settled; scene links and back/forward jump between scenes
+    this.setupRouting();
+    
+    // Trim content built for the max tier and follow governor changes
+    this.applyQuality(this.quality);
+    this.qualityGovernor.on('onChange', (change) => this.handleQualityChange(change));
+    
+    // Start render loop, or hand the clock to the capture
+    if (this.frameCapture) {
+      this.frameCapture.run().catch((error) => console.error('[Capture] Failed:', error));
+    } else {
+      this.startLoop();
+    }
     
     // Setup responsive handling
     window.addEventListener('resize', this.handleResize, { passive: true });
     
+    // A lost GPU context pauses the loop; restore rebuilds and resumes in place
+    this.contextRecovery = new ContextRecovery(this.renderer, {
+      overlay: document.querySelector('.context-lost-overlay'),
+    });
+    this.contextRecovery.on('onLost', () => this.handleContextLost());
+    this.contextRecovery.on('onRestored', () => this.handleContextRestored());
+    
     window.__APP_BOOTED__ = true;
-    const loading = document.querySelector('.loading-screen');
-    if (loading) {
-      loading.classList.add('hidden');
-      setTimeout(() => {
-        loading.style.display = 'none';
-      }, 900);
-    }
+    
+    // The loading screen lifts once the scene the page opens on has its
+    // critical assets and the HDR environments have been prefiltered
+    const { index } = this.sceneManager.getCurrentScene(this.scrollProgress);
+    this.sceneAssets.focus(index);
+    this.preloader.watch(
+      Promise.all([this.sceneAssets.whenCritical(index), this.environmentRig.ready]),
+      () => this.getCriticalProgress(index)
+    );
 
     console.log('[Init] Experience ready');
   }
 
+  /**
+   * Surface a failed boot on the loading screen
+   */
+  handleInitError(error) {
+    console.error('[Init] Failed to start experience', error);
+    this.preloader?.dispose();
+    const loading = document.querySelector('.loading-screen');
+    if (!loading) return;
+    const message = loading.querySelector('p');
+    if (message) {
+      message.textContent = error?.name === 'SceneManifestError'
+        ? error.message
+        : `Initialization failed: ${error?.message || 'Unknown error'}`;
+      message.style.whiteSpace = 'pre-line';
+    }
+    loading.style.pointerEvents = 'auto';
+  }
+
   /**
    * Setup Three.js core
    */
@@ -204,7 +372,7 @@ class CinematicExperience {
     this.renderer.physicallyCorrectLights = true;
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 1.35;
-    this.renderer.shadowMap.enabled = this.quality !== 'low';
+    this.renderer.shadowMap.enabled = QUALITY_PRESETS[this.quality].shadows;
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     if ('outputColorSpace' in this.renderer && THREE.SRGBColorSpace) {
       this.renderer.outputColorSpace = THREE.SRGBColorSpace;
@@ -212,44 +380,14 @@ class CinematicExperience {
       this.renderer.outputEncoding = THREE.sRGBEncoding;
     }
 
-    const pmrem = new THREE.PMREMGenerator(this.renderer);
-    pmrem.compileEquirectangularShader();
-    const tempScene = new THREE.Scene();
-    tempScene.background = new THREE.Color(0x111111);
-    const envRT = pmrem.fromScene(tempScene);
-    if (this.environmentTexture) this.environmentTexture.dispose();
-    this.environmentTexture = envRT.texture;
-    this.environmentRT = envRT;
-    this.scene.environment = envRT.texture;
-    pmrem.dispose();
-    
-    // Lighting
-    const ambientLight = new THREE.AmbientLight(0x111111);
-    this.scene.add(ambientLight);
-    
-    const keyLight = new THREE.DirectionalLight(0x7B2CBF, 1.2);
-    keyLight.position.set(10, 10, 10);
-    keyLight.intensity *= 1.3;
-    keyLight.castShadow = this.quality === 'high';
-    keyLight.shadow.mapSize.set(this.quality === 'high' ? 1024 : 512, this.quality === 'high' ? 1024 : 512);
-    this.scene.add(keyLight);
-    
-    const fillLight = new THREE.DirectionalLight(0x9D4EDD, 0.5);
-    fillLight.position.set(-10, -10, -10);
-    fillLight.intensity *= 0.6;
-    this.scene.add(fillLight);
-
-    const premiumSpot = new THREE.SpotLight(0xffffff, 1.8, 200, 0.35);
-    premiumSpot.position.set(0, 20, 20);
-    premiumSpot.castShadow = this.quality === 'high';
-    premiumSpot.shadow.mapSize.set(this.quality === 'high' ? 1024 : 512, this.quality === 'high' ? 1024 : 512);
-    this.scene.add(premiumSpot);
-    const rim = new THREE.DirectionalLight(0xffffff, 0.8);
-    rim.position.set(-20, 5, -5);
-    this.scene.add(rim);
-    const accent = new THREE.PointLight(0xC77DFF, 1.5, 60);
-    accent.position.set(5, -3, -8);
-    this.scene.add(accent);
+    // Image-based lighting: neutral until the scenes' HDRs arrive
+    this.environmentRig = new EnvironmentRig(this.renderer, this.scene, this.sceneManager, {
+      loadingManager: this.preloader.manager,
+    });
+    this.environmentRig.on('onProgress', () => this.preloader.update());
+    this.environmentRig.init();
+    
+    // Lights are owned by LightingRig, created once the scenes are known
   }
 
   /**
@@ -375,43 +513,40 @@ class CinematicExperience {
     vignetteOverlay.renderOrder = 5;
     this.backgroundScene.add(vignetteOverlay);
 
-    this.composer = new EffectComposer(this.renderer);
-    this.backgroundPass = new RenderPass(this.backgroundScene, this.backgroundCamera);
-    this.backgroundPass.clear = true;
-    this.mainPass = new RenderPass(this.scene, this.camera);
-    this.mainPass.clear = false;
-    const bloomPass = new UnrealBloomPass(
-      new THREE.Vector2(window.innerWidth, window.innerHeight),
-      0.35,
-      0.55,
-      0.9
-    );
-    const smaaPass = new SMAAPass(
-      window.innerWidth * this.renderer.getPixelRatio(),
-      window.innerHeight * this.renderer.getPixelRatio()
-    );
-    const gammaPass = new ShaderPass(GammaCorrectionShader);
-    if (this.quality === 'high') {
-      this.ssrPass = new SSRPass({
-        renderer: this.renderer,
+    this.createPipeline();
+    this.colorGrader = new ColorGrader(this.sceneManager, { loadingManager: this.preloader.manager });
+    this.colorGrader.init(this.pipeline.get('lut'), this.renderer);
+  }
+
+  /**
+   * Composer chain from a declarative pass list; see PostPipeline.js
+   */
+  createPipeline() {
+    this.pipeline = new PostPipeline(this.renderer, this.sceneManager, {
+      specs: this.options.pipeline,
+      context: {
         scene: this.scene,
         camera: this.camera,
-        width: Math.floor(window.innerWidth * 0.75),
-        height: Math.floor(window.innerHeight * 0.75),
-        groundReflector: null,
-        selects: null,
-      });
-      this.ssrPass.maxDistance = 90;
-      this.ssrPass.thickness = 0.012;
-      this.ssrPass.opacity = 0.45;
-    }
-    if (this.composer && this.backgroundPass) this.composer.addPass(this.backgroundPass);
-    if (this.composer && this.mainPass) this.composer.addPass(this.mainPass);
-    if (this.composer && this.ssrPass) this.composer.addPass(this.ssrPass);
-    if (this.composer && bloomPass) this.composer.addPass(bloomPass);
-    if (this.composer && smaaPass) this.composer.addPass(smaaPass);
-    if (this.composer && gammaPass) this.composer.addPass(gammaPass);
-    this.passes = { bloomPass, smaaPass, gammaPass };
+        backgroundScene: this.backgroundScene,
+        backgroundCamera: this.backgroundCamera,
+      },
+      tier: this.quality,
+    });
+    this.composer = this.pipeline.build();
+    this.backgroundPass = this.pipeline.get('background');
+    this.mainPass = this.pipeline.get('main');
+    this.crossfadePass = this.pipeline.get('crossfade');
+  }
+
+  /**
+   * Replace the composer and every pass, e.g. after a context loss took
+   * their render targets with it
+   */
+  rebuildPipeline() {
+    this.pipeline.dispose();
+    this.createPipeline();
+    this.colorGrader.attach(this.pipeline.get('lut'), this.renderer);
+    this.crossfadePass.enabled = this.motionPolicy.reduced;
   }
 
   /**
@@ -420,14 +555,14 @@ class CinematicExperience {
   createSceneContent() {
     console.log('[Content] Creating scene geometries');
     
-    // Create hero assets for each scene
-    this.geometryLibrary.createHeroCluster();
-    this.geometryLibrary.createPhilosophyElements();
-    this.geometryLibrary.createServiceConstellation();
-    this.geometryLibrary.createContactPortal();
+    // Each scene's own objects load with the scene; what follows spans the journey
+    this.setupSceneAssets();
+    
+    // Content is built for the highest tier this device may reach; applyQuality trims it
+    const maxPreset = QUALITY_PRESETS[this.qualityGovernor.maxTier];
     
     // Create depth-staged particles
-    if (this.quality !== 'low') {
+    if (maxPreset.particleLayers > 0) {
       this.geometryLibrary.createParticleLayers();
     }
     const silhouetteGeo = new THREE.TorusGeometry(10, 1.4, 48, 220);
@@ -453,7 +588,8 @@ class CinematicExperience {
     this.volumetricBeam.rotation.x = Math.PI;
     this.scene.add(this.volumetricBeam);
 
-    const depthParticleCount = this.quality === 'high' ? 120 : this.quality === 'medium' ? 70 : 35;
+    const depthParticleCount = maxPreset.depthParticles;
+    const depthRandom = this.random.fork('depthParticles');
     const depthParticleMaterial = new THREE.MeshBasicMaterial({ color: 0xffffff });
     const depthParticleGeometries = [
       new THREE.SphereGeometry(0.02, 6, 6),
@@ -463,12 +599,11 @@ class CinematicExperience {
     for (let l = 0; l < 3; l++) {
       const g = new THREE.Group();
       for (let i = 0; i < depthParticleCount; i++) {
-        const geometryIndex = Math.floor(Math.random() * depthParticleGeometries.length);
-        const p = new THREE.Mesh(depthParticleGeometries[geometryIndex], depthParticleMaterial);
+        const p = new THREE.Mesh(depthRandom.pick(depthParticleGeometries), depthParticleMaterial);
         p.position.set(
-          Math.random() * 30 - 15,
-          Math.random() * 30 - 15,
-          Math.random() * -40
+          depthRandom.range(-15, 15),
+          depthRandom.range(-15, 15),
+          depthRandom.range(-40, 0)
         );
         g.add(p);
       }
@@ -477,16 +612,140 @@ class CinematicExperience {
       this.scene.add(g);
     }
 
-    this.createMoon();
-
     this.collectInteractionTargets();
     
     console.log('[Content] Scene geometries created');
   }
 
-  createMoon() {
+  /**
+   * Scene factories, the shark and the moon load with their scenes rather
+   * than at boot: entering a scene loads it and unloads scenes beyond
+   * assetRetainDistance, holding in one prefetches the next
+   */
+  setupSceneAssets() {
+    this.sceneAssets = new SceneAssetLoader(this.sceneManager, {
+      retainDistance: this.options.assetRetainDistance,
+    });
+    
+    SCENE_FACTORIES.forEach((factory) => {
+      this.sceneAssets.define(factory, {
+        type: 'geometry',
+        load: (scene) => this.geometryLibrary[factory](scene.name),
+        unload: (group) => this.geometryLibrary.disposeObject(group),
+      });
+    });
+    this.sceneAssets.define('spaceShark', {
+      type: 'model',
+      load: (scene, report) => this.geometryLibrary.loadSpaceShark(scene.name, report),
+      fallback: (scene) => this.geometryLibrary.createFallbackShark(scene.name),
+      unload: (shark) => this.geometryLibrary.disposeObject(shark),
+    });
+    this.sceneAssets.define('moon', {
+      type: 'textures',
+      critical: false, // Map probing shouldn't hold the loading screen
+      load: (scene, report) => this.loadMoon(report),
+      unload: (moon) => this.disposeMoon(moon),
+    });
+    
+    this.sceneAssets.on('onAssetLoad', (name, handle, scene, index, { type, fallback }) => {
+      this.createHeroMorph();
+      this.collectInteractionTargets();
+      this.events.emit('asset:loaded', {
+        name,
+        type,
+        scene,
+        index,
+        fallback: fallback || Boolean(handle?.userData?.fallback),
+      });
+    });
+    this.sceneAssets.on('onUnload', (scene, index) => {
+      this.collectInteractionTargets();
+      this.events.emit('asset:unloaded', { scene, index });
+    });
+    this.sceneAssets.on('onProgress', (scene, index, progress) => {
+      this.events.emit('asset:progress', { scene, index, ...progress });
+      this.preloader.update();
+    });
+    
+    this.events.on('scene:enter', ({ index, direction }) => {
+      if (direction) this.assetDirection = direction;
+      this.sceneAssets.focus(index);
+    });
+    this.events.on('scene:hold', ({ index }) => {
+      this.sceneAssets.prefetch(index + this.assetDirection);
+    });
+  }
+
+  /**
+   * Load state of a scene's assets
+   * @returns {{state: string, loaded: number, total: number, progress: number}|null}
+   */
+  getSceneLoadProgress(nameOrIndex) {
+    return this.sceneAssets?.getProgress(nameOrIndex) ?? null;
+  }
+
+  /**
+   * Opening scene's critical assets and the HDR environments as one progress
+   */
+  getCriticalProgress(index) {
+    const scene = this.sceneAssets.getProgress(index, { critical: true });
+    const environment = this.environmentRig.getProgress();
+    const total = scene.total + environment.total;
+    return {
+      state: scene.state === 'loaded' && environment.state === 'loaded' ? 'loaded' : 'loading',
+      loaded: scene.loaded + environment.loaded,
+      failed: scene.failed + environment.failed,
+      total,
+      progress: total ? (scene.progress * scene.total + environment.progress * environment.total) / total : 1,
+      bytesLoaded: scene.bytesLoaded + environment.bytesLoaded,
+      bytesTotal: scene.bytesTotal + environment.bytesTotal,
+    };
+  }
+
+  /**
+   * Particle cloud that dissolves the hero icosahedron and reforms it as the
+   * service constellation, scrubbed by scene transitions in both directions.
+   * Built once both ends have loaded; it keeps its own sampled points, so it
+   * outlives either end being unloaded.
+   */
+  createHeroMorph() {
+    if (this.heroMorphCloud) return;
+    const heroCluster = this.geometryLibrary.objects.heroCluster;
+    const constellation = this.geometryLibrary.objects.serviceConstellation;
+    const heroMesh = heroCluster?.children[0]?.children.find((child) => child.isMesh);
+    if (!heroMesh || !constellation) return;
+
+    const pointCount = this.quality === 'high' ? 1500 : this.quality === 'medium' ? 900 : 450;
+    const geometry = this.morphTargetManager.registerMorph('heroMorph', heroMesh, constellation, {
+      pointCount,
+      seed: this.random.fork('heroMorph').seed,
+    });
+    this.morphTargetManager.bindToTransitions('heroMorph', this.transitionEngine, {
+      from: heroCluster.userData.sceneName,
+      to: constellation.userData.sceneName,
+    });
+
+    const material = new THREE.PointsMaterial({
+      color: 0xFF69B4,
+      size: 0.09,
+      transparent: true,
+      opacity: 0,
+      depthWrite: false,
+      blending: THREE.AdditiveBlending,
+    });
+    this.heroMorphCloud = new THREE.Points(geometry, material);
+    this.heroMorphCloud.frustumCulled = false;
+    this.scene.add(this.heroMorphCloud);
+  }
+
+  /**
+   * Moon textured with whatever maps ./assets/moon/ provides
+   * @param {Function} report - (0-1) as map types are probed
+   * @returns {Promise<THREE.Mesh>}
+   */
+  loadMoon(report) {
+    // Not on the preloader's manager: probe misses are expected, not failures
     const texLoader = new THREE.TextureLoader();
-    const loadToken = ++this.moonLoadToken;
 
     const files = [
       "albedo", "color", "diff", "basecolor",
@@ -544,7 +803,8 @@ class CinematicExperience {
         if (tex) materialMaps[type] = tex;
       }
 
-      for (const key of files) {
+      for (const [i, key] of files.entries()) {
+        report?.(i / files.length);
         if (materialMaps[key]) continue;
         for (const ext of extList) {
           const tex = await loadTextureSafe(new URL(`${key}.${ext}`, moonBase).href);
@@ -558,12 +818,7 @@ class CinematicExperience {
       return materialMaps;
     }
 
-    loadMoonTextures().then((t) => {
-      if (this.isDisposed || loadToken !== this.moonLoadToken) {
-        Object.values(t).forEach((texture) => texture?.dispose?.());
-        return;
-      }
-
+    return loadMoonTextures().then((t) => {
       const mat = new THREE.MeshStandardMaterial({
         map: t.albedo || t.color || t.basecolor || t.diff,
         normalMap: t.normal || t.nor,
@@ -581,68 +836,380 @@ class CinematicExperience {
       const mesh = new THREE.Mesh(geo, mat);
 
       mesh.position.set(6, -2, -15);
+      mesh.userData.textures = Object.values(t).filter(Boolean);
+      mesh.userData.fallback = !mesh.userData.textures.length;
       this.scene.add(mesh);
-      this.moon = mesh;
-      this.moonTextures = Object.values(t).filter(Boolean);
+      return mesh;
     });
   }
 
+  disposeMoon(moon) {
+    this.scene.remove(moon);
+    moon.geometry.dispose();
+    moon.material.dispose();
+    moon.userData.textures.forEach((texture) => texture.dispose());
+  }
+
   /**
    * Setup scroll control with smooth interpolation
    */
   setupScrollControl() {
+    // Scenes take their sections' scroll spans; re-read scroll when layout moves them
+    this.scrollMap = new ScrollMap(this.sceneManager);
+    this.scrollMap.on('onChange', () => this.handleScroll());
+    this.scrollMap.init();
+    
     window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('wheel', this.handleScrollIntent, { passive: true });
+    window.addEventListener('touchstart', this.handleScrollIntent, { passive: true });
+    
+    // Reduced motion holds static poses, so there is nothing between poses to snap from
+    this.scrollSnap = new ScrollSnap({
+      sceneManager: this.sceneManager,
+      getProgress: () => this.targetScrollProgress,
+      glideTo: (progress, options) => this.glideTo(progress, options),
+      isBusy: () => Boolean(this.navigation) || Boolean(this.frameCapture?.isCapturing),
+      enabled: this.options.scrollSnap && !this.motionPolicy.reduced,
+    });
+    this.scrollSnap.init();
     
     // Initialize scroll position
-    const scrollHeight = Math.max(1, document.documentElement.scrollHeight - window.innerHeight);
-    this.targetScrollProgress = THREE.MathUtils.clamp(window.scrollY / scrollHeight, 0, 1);
+    this.targetScrollProgress = THREE.MathUtils.clamp(window.scrollY / this.getScrollRange(), 0, 1);
     this.scrollProgress = this.targetScrollProgress;
   }
 
+  /**
+   * Turn scroll snapping on or off at runtime
+   */
+  setScrollSnap(enabled) {
+    this.options.scrollSnap = Boolean(enabled);
+    this.scrollSnap?.setEnabled(this.options.scrollSnap && !this.motionPolicy.reduced);
+  }
+
+  /**
+   * Scroll the window to a progress immediately, bypassing CSS smooth scrolling
+   */
+  setWindowScroll(progress) {
+    const root = document.documentElement;
+    const scrollBehavior = root.style.scrollBehavior;
+    root.style.scrollBehavior = 'auto';
+    window.scrollTo(0, progress * this.getScrollRange());
+    root.style.scrollBehavior = scrollBehavior;
+  }
+
+  /**
+   * Scrollable distance in pixels (scroll progress 1 = this many px)
+   */
+  getScrollRange() {
+    return Math.max(1, document.documentElement.scrollHeight - window.innerHeight);
+  }
+
   /**
    * Setup transition event callbacks
    */
   setupTransitionCallbacks() {
-    this.transitionEngine.on('onAnticipate', (scene, index) => {
-      console.log(`[Transition Event] Anticipating: ${scene.name}`);
+    this.transitionEngine.on('onAnticipate', (scene, index, direction) => {
+      console.log(`[Transition Event] Anticipating ${direction > 0 ? 'forward' : 'backward'}: ${scene.name}`);
       // Could trigger subtle UI changes, sound effects, etc.
     });
     
-    this.transitionEngine.on('onMorph', (fromScene, toScene, index) => {
+    this.transitionEngine.on('onMorph', (fromScene, toScene, fromIndex, direction) => {
       console.log(`[Transition Event] Morphing: ${fromScene.name} -> ${toScene?.name}`);
-      
-      // Update lighting for next scene
-      if (toScene) {
-        const lighting = toScene.lighting;
-        // Smoothly transition lighting (simplified)
-      }
+      // Lighting crossfades continuously with scroll in LightingRig.update()
+      const transition = this.transitionEngine.currentTransition;
+      const toIndex = this.sceneManager.scenes.indexOf(toScene);
+      this.events.emit('transition:start', {
+        from: fromScene,
+        to: toScene,
+        fromIndex,
+        toIndex,
+        direction,
+        reversed: Boolean(transition?.reversed),
+        forced: Boolean(transition?.forced),
+      });
+      this.announceScene(toIndex, direction);
     });
     
     this.transitionEngine.on('onComplete', (transition) => {
       console.log(`[Transition Event] Complete: ${transition?.to?.name}`);
+      if (!transition) return;
+      const { from, to, fromIndex, toIndex, direction } = transition;
+      this.events.emit('transition:end', { from, to, fromIndex, toIndex, direction });
+      this.events.emit('scene:hold', { scene: to, index: toIndex });
+    });
+  }
+
+  /**
+   * scene:exit / scene:enter when the active scene changes
+   */
+  announceScene(index, direction) {
+    const previous = this.announcedIndex;
+    if (index === previous || index === null || index < 0) return;
+    this.announcedIndex = index;
+    
+    const scenes = this.sceneManager.scenes;
+    if (previous !== null) {
+      this.events.emit('scene:exit', { scene: scenes[previous], index: previous, direction });
+    }
+    this.events.emit('scene:enter', { scene: scenes[index], index, direction });
+  }
+
+  /**
+   * Per-frame lifecycle events: scene changes that bypass morphs (first
+   * frame, jumps) and transition progress while one is in flight
+   */
+  updateLifecycleEvents() {
+    const { activeIndex } = this.transitionEngine;
+    const { state, transition, progress, easedProgress } = this.transitionEngine.getTransitionData();
+    
+    if (activeIndex !== null && activeIndex !== this.announcedIndex) {
+      this.announceScene(activeIndex, Math.sign(activeIndex - (this.announcedIndex ?? activeIndex)));
+      if (state === 'IDLE' || state === 'ANTICIPATE') {
+        this.events.emit('scene:hold', { scene: this.sceneManager.scenes[activeIndex], index: activeIndex });
+      }
+    }
+    
+    if (transition && (state === 'MORPHING' || state === 'SETTLING')) {
+      const { from, to, fromIndex, toIndex } = transition;
+      this.events.emit('transition:progress', { from, to, fromIndex, toIndex, phase: state, progress, easedProgress });
+    }
+  }
+
+  /**
+   * URL follows the active scene; a routed URL restores its scene
+   */
+  setupRouting() {
+    this.router = new SceneRouter({
+      sceneManager: this.sceneManager,
+      mode: this.options.routing,
+      base: this.options.routeBase,
+    });
+    this.router.on('onNavigate', (scene, index, trigger) => {
+      console.log(`[Router] ${trigger}: ${scene.name}`);
+      // A fresh page lands; links, keys and back/forward fly there
+      if (trigger === 'load') {
+        this.jumpToScene(index);
+      } else {
+        this.goToScene(index);
+      }
     });
+    this.router.init();
+    
+    window.addEventListener('keydown', this.handleKeydown);
+    window.addEventListener('message', this.handleMessage);
+  }
+
+  /**
+   * Fly to a scene: window scroll, camera, lighting, shader uniforms and the
+   * scene morph move together. Public entry point for nav links, keyboard
+   * shortcuts and embedding pages (see handleMessage).
+   * @param {string|number} nameOrIndex
+   * @param {Object} options
+   * @param {number} options.duration - Seconds; defaults to scale with distance
+   * @param {string|Function} options.ease - GSAP ease (default 'power2.inOut')
+   * @returns {Promise<boolean>} Resolves once transitions have settled: true on
+   *   arrival, false if the visitor scrolled away or another navigation took over
+   */
+  async goToScene(nameOrIndex, options = {}) {
+    await this.ready;
+    if (this.isDisposed || !this.transitionEngine) return false;
+    
+    const scene = this.sceneManager.getScene(nameOrIndex);
+    if (!scene) throw new Error(`[Navigation] Unknown scene "${nameOrIndex}"`);
+    const index = this.sceneManager.scenes.indexOf(scene);
+    const progress = this.sceneManager.getSceneAnchor(index);
+    
+    this.cancelNavigation();
+    
+    const distance = Math.abs(index - (this.transitionEngine.activeIndex ?? 0));
+    const duration = options.duration ?? Math.min(3, 0.8 + 0.5 * distance);
+    
+    // Reduced motion cuts instead of flying
+    if (this.motionPolicy.reduced || duration <= 0) {
+      this.jumpToScene(index);
+      if (this.motionPolicy.reduced) this.crossfadePass?.start();
+      return this.glideTo(progress, { duration: 0 });
+    }
+    
+    // One morph spanning the whole flight; scrubbed mode follows scroll by itself
+    if (!this.transitionEngine.config.scrubbed) {
+      this.transitionEngine.forceTransitionTo(index, duration);
+    }
+    return this.glideTo(progress, { duration, ease: options.ease });
+  }
+
+  /**
+   * Tween scroll progress (and the window with it) to a value. Everything
+   * downstream follows progress, so camera, lighting and uniforms move too.
+   * Replaces any glide already running.
+   * @returns {Promise<boolean>} See goToScene()
+   */
+  glideTo(progress, options = {}) {
+    this.cancelNavigation();
+    
+    return new Promise((resolve) => {
+      const navigation = { resolve, tween: null, arrived: false };
+      this.navigation = navigation;
+      
+      if (!options.duration) {
+        navigation.arrived = true;
+        return;
+      }
+      
+      const state = { progress: this.scrollProgress };
+      navigation.tween = gsap.to(state, {
+        progress,
+        duration: options.duration,
+        ease: options.ease || 'power2.inOut',
+        onUpdate: () => {
+          this.scrollProgress = this.targetScrollProgress = state.progress;
+          this.setWindowScroll(state.progress);
+        },
+        onComplete: () => {
+          navigation.tween = null;
+          navigation.arrived = true;
+        },
+      });
+    });
+  }
+
+  /**
+   * Resolve the pending glide once no transition is in flight
+   */
+  updateNavigation() {
+    const navigation = this.navigation;
+    if (!navigation?.arrived) return;
+    const { state } = this.transitionEngine;
+    if (state === 'MORPHING' || state === 'SETTLING') return;
+    
+    this.navigation = null;
+    navigation.resolve(true);
+  }
+
+  /**
+   * Stop a flight where it is and hand scroll back to the visitor
+   */
+  cancelNavigation() {
+    const navigation = this.navigation;
+    if (!navigation) return;
+    
+    this.navigation = null;
+    if (navigation.tween) {
+      navigation.tween.kill();
+      this.targetScrollProgress = THREE.MathUtils.clamp(window.scrollY / this.getScrollRange(), 0, 1);
+    }
+    navigation.resolve(false);
+  }
+
+  /**
+   * Wheel or touch during a flight means the visitor wants scroll back
+   */
+  handleScrollIntent() {
+    if (this.navigation?.tween) this.cancelNavigation();
+  }
+
+  /**
+   * 1-9 fly to that scene, N / P to the next / previous one
+   */
+  handleKeydown(e) {
+    if (e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey) return;
+    const target = e.target;
+    if (target?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target?.tagName)) return;
+    
+    const current = this.transitionEngine.activeIndex ?? 0;
+    let index = null;
+    if (/^[1-9]$/.test(e.key)) index = Number(e.key) - 1;
+    else if (e.key === 'n' || e.key === 'N') index = current + 1;
+    else if (e.key === 'p' || e.key === 'P') index = current - 1;
+    
+    if (index === null) {
+      // Scroll keys take scroll back from a flight
+      if (SCROLL_KEYS.has(e.key)) this.handleScrollIntent();
+      return;
+    }
+    if (!this.sceneManager.getScene(index)) return;
+    
+    e.preventDefault();
+    this.router.navigate(index, { trigger: 'key' });
+  }
+
+  /**
+   * Embedding pages drive the experience with postMessage:
+   * iframe.contentWindow.postMessage({ type: 'cinematic:goToScene', scene: 'services', duration: 2 }, origin)
+   * and get { type: 'cinematic:sceneSettled', scene, arrived } back. Only
+   * allowedOrigins are heard; opaque ('null') origins never are, since a
+   * reply could only go to '*'.
+   */
+  handleMessage(e) {
+    const data = e.data;
+    if (!data || data.type !== 'cinematic:goToScene') return;
+    if (e.origin === 'null' || !this.options.allowedOrigins.includes(e.origin)) return;
+    
+    const { scene, duration, ease } = data;
+    this.goToScene(scene, { duration, ease })
+      .then((arrived) => {
+        e.source?.postMessage({ type: 'cinematic:sceneSettled', scene, arrived }, e.origin);
+      })
+      .catch((error) => console.warn(error.message));
+  }
+
+  /**
+   * Land on a scene with scroll, camera, lighting, shader, transition state
+   * and DOM reveals all settled there, exactly as if scrolled to and left idle
+   * @param {string|number} nameOrIndex
+   * @returns {boolean} False if no such scene
+   */
+  jumpToScene(nameOrIndex) {
+    const scene = this.sceneManager.getScene(nameOrIndex);
+    if (!scene) return false;
+    const index = this.sceneManager.scenes.indexOf(scene);
+    const progress = this.sceneManager.getSceneAnchor(index);
+    
+    this.cancelNavigation();
+    this.setWindowScroll(progress);
+    this.settleAt(progress, index);
+    return true;
+  }
+
+  /**
+   * Snap every scroll-driven system to a progress without animating
+   * @param {number} progress - 0 to 1
+   * @param {number} index - Scene index at that progress
+   */
+  settleAt(progress, index) {
+    this.scrollProgress = this.targetScrollProgress = progress;
+    
+    this.transitionEngine.jumpTo(progress);
+    this.morphTargetManager.update(0);
+    this.cameraDirector.snapTo(progress);
+    this.lightingRig.snapTo(progress, this.cameraDirector.currentLookAt);
+    this.environmentRig.update(progress);
+    this.motionOrchestrator.syncReveals(index);
+    this.motionOrchestrator.update(progress);
   }
 
   setupPremiumUI() {
-    const cards = document.querySelectorAll('.service-card, .project-card, .pricing-card, .philosophy-card');
+    const cards = document.querySelectorAll(CARD_SELECTOR);
     cards.forEach((card) => {
       card.style.background = 'linear-gradient(145deg, rgba(255,255,255,0.05), rgba(255,255,255,0.02))';
       card.style.backdropFilter = 'blur(18px)';
       card.style.border = '1px solid rgba(255,255,255,0.08)';
-      card.onmouseenter = () => {
-        gsap.to(card, { y: -8, duration: 0.4 });
-        if (this.cameraDirector) {
-          this.cameraDirector.shake(0.15, 0.25);
-        }
-        const nodeIndex = Number(card.dataset.node);
-        if (!Number.isNaN(nodeIndex)) {
-          this.pulseServiceNode(nodeIndex);
-        }
-      };
-      card.onmouseleave = () => {
-        gsap.to(card, { y: 0, duration: 0.6 });
-      };
     });
+  }
+
+  /**
+   * 3D response to card hover (card motion itself is MotionOrchestrator's)
+   */
+  handleCardHover(card, isHovering) {
+    this.events.emit('interaction:hover', { source: 'dom', target: card, hovering: isHovering });
+    if (!isHovering) return;
+    if (this.cameraDirector) {
+      this.cameraDirector.shake(0.15, 0.25);
+    }
+    const nodeIndex = Number(card.dataset.node);
+    if (!Number.isNaN(nodeIndex)) {
+      this.pulseServiceNode(nodeIndex);
+    }
   }
 
   setupContactEnhancements() {
@@ -670,7 +1237,48 @@ class CinematicExperience {
   }
 
   setupRaycastInteraction() {
-    window.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+    // Raycasts follow the real pointer, not tilt
+    this.parallaxInput.on('onMove', (state) => {
+      if (state.pointer) this.mouse.set(state.pointer.x, state.pointer.y);
+    });
+    this.parallaxInput.init();
+    window.addEventListener('click', this.handleClick);
+  }
+
+  /**
+   * interaction:hover for the 3D object under the pointer, when it changes
+   */
+  setHoveredObject(object) {
+    if (object === this.hoveredObject) return;
+    if (this.hoveredObject) {
+      this.events.emit('interaction:hover', { source: 'scene', target: this.hoveredObject, hovering: false });
+    }
+    this.hoveredObject = object;
+    if (object) {
+      this.events.emit('interaction:hover', { source: 'scene', target: object, hovering: true });
+    }
+  }
+
+  /**
+   * interaction:click for cards, or else for a 3D object under the click
+   */
+  handleClick(e) {
+    const card = e.target.closest?.(CARD_SELECTOR);
+    if (card) {
+      this.events.emit('interaction:click', { source: 'dom', target: card });
+      return;
+    }
+    if (!this.interactiveObjects.length) return;
+    
+    const pointer = new THREE.Vector2(
+      (e.clientX / window.innerWidth) * 2 - 1,
+      -(e.clientY / window.innerHeight) * 2 + 1
+    );
+    this.raycaster.setFromCamera(pointer, this.camera);
+    const hit = this.raycaster.intersectObjects(this.interactiveObjects, false)[0];
+    if (hit) {
+      this.events.emit('interaction:click', { source: 'scene', target: hit.object, point: hit.point });
+    }
   }
 
   collectInteractionTargets() {
@@ -717,24 +1325,58 @@ class CinematicExperience {
     if (this.isDisposed) return;
     this.rafId = requestAnimationFrame(this.animate);
     
-    let deltaTime = this.clock.getDelta();
-    deltaTime *= 0.92;
-    const elapsedTime = this.clock.elapsedTime;
+    const frameTime = this.clock.getDelta();
+    this.step(frameTime, this.clock.elapsedTime);
+    
+    // FPS monitoring feeds the quality governor
+    this.updateFPS();
+  }
+
+  /**
+   * Advance every system by one frame and render it
+   * @param {number} frameTime - Seconds since the previous frame
+   * @param {number} elapsedTime - Seconds since start
+   */
+  step(frameTime, elapsedTime) {
+    const deltaTime = frameTime * 0.92;
     
     // Smooth scroll interpolation
     this.scrollProgress += (this.targetScrollProgress - this.scrollProgress) * 0.065;
     
     // Update transition engine
     this.transitionEngine.update(this.scrollProgress, deltaTime);
+    this.updateLifecycleEvents();
+    this.updateNavigation();
+    this.morphTargetManager.update(deltaTime);
+    if (this.heroMorphCloud) {
+      const morphProgress = this.morphTargetManager.morphPairs.get('heroMorph').progress;
+      this.heroMorphCloud.material.opacity = 0.1 + Math.sin(morphProgress * Math.PI) * 0.75;
+    }
     
     // Update camera choreography
     this.cameraDirector.update(this.scrollProgress, deltaTime);
-    this.camera.position.z += Math.sin(elapsedTime * 0.3) * 0.01;
-    this.camera.position.x += Math.cos(elapsedTime * 0.2) * 0.005;
+    const dofPass = this.pipeline.get('dof');
+    if (dofPass?.enabled) dofPass.setFocus(this.cameraDirector.focus);
+    const reducedMotion = this.motionPolicy.reduced;
+    if (!reducedMotion) {
+      this.camera.position.z += Math.sin(elapsedTime * 0.3) * 0.01;
+      this.camera.position.x += Math.cos(elapsedTime * 0.2) * 0.005;
+    }
+    this.crossfadePass?.update(deltaTime);
+    
+    // Crossfade scene lighting
+    this.lightingRig.update(this.scrollProgress, this.cameraDirector.currentLookAt);
+    this.environmentRig.update(this.scrollProgress);
+    this.pipeline.update(this.scrollProgress, deltaTime);
+    this.colorGrader.update(this.scrollProgress);
+    
+    // Scrub DOM parallax from the same progress the camera uses
+    this.motionOrchestrator.update(this.scrollProgress);
+    this.router?.sync(this.transitionEngine.activeIndex);
     
     // Update geometry animations
     this.geometryLibrary.update(elapsedTime, this.scrollProgress);
-    for (let i = 0; i < this.microMotionMeshes.length; i++) {
+    for (let i = 0; i < this.microMotionMeshes.length && !reducedMotion; i++) {
       const obj = this.microMotionMeshes[i];
       obj.rotation.x += deltaTime * 0.15;
       obj.rotation.y += deltaTime * 0.1;
@@ -758,6 +1400,7 @@ class CinematicExperience {
       if (hits.length) {
         hits[0].object.rotation.y += 0.03;
       }
+      this.setHoveredObject(hits[0]?.object ?? null);
     }
     for (let i = 0; i < this.depthParallaxGroups.length; i++) {
       const group = this.depthParallaxGroups[i];
@@ -776,17 +1419,89 @@ class CinematicExperience {
     
     // Render
     this.render();
+  }
+
+  startLoop() {
+    if (this.rafId || this.isDisposed || this.contextLost) return;
+    this.clock.getDelta(); // Don't count time spent paused as one long frame
+    this.animate();
+  }
+
+  stopLoop() {
+    if (this.rafId) cancelAnimationFrame(this.rafId);
+    this.rafId = null;
+  }
+
+  /**
+   * The GPU dropped the context; nothing can draw until it comes back
+   */
+  handleContextLost() {
+    this.contextLost = true;
+    this.stopLoop();
+    this.events.emit('context:lost', {});
+  }
+
+  /**
+   * The renderer has re-initialised itself and re-uploads geometry and
+   * textures on demand. Rebuild what only existed on the GPU, recompile
+   * programs, then resume from wherever the page is scrolled to now.
+   */
+  handleContextRestored() {
+    this.renderer.shadowMap.needsUpdate = true;
+    this.environmentRig.restore();
+    invalidateMaterials(this.backgroundScene);
+    invalidateMaterials(this.scene);
+    this.rebuildPipeline();
     
-    // FPS monitoring (optional, can be removed in production)
-    this.updateFPS();
+    this.lastViewport.pixelRatio = 0;
+    this.applyResize();
+    
+    this.cancelNavigation();
+    const progress = THREE.MathUtils.clamp(window.scrollY / this.getScrollRange(), 0, 1);
+    this.settleAt(progress, this.sceneManager.getCurrentScene(progress).index);
+    
+    this.contextLost = false;
+    this.events.emit('context:restored', {});
+    if (!this.frameCapture?.isCapturing) this.startLoop();
+  }
+
+  /**
+   * Load every scene's assets and keep them resident until
+   * sceneAssets.unpin(); a capture can't wait on streaming mid-run
+   */
+  whenAssetsSettled() {
+    return this.sceneAssets.pin().catch(() => {});
+  }
+
+  /**
+   * Render a deterministic frame sequence, e.g. from the console:
+   * cinematicApp.capture({ width: 3840, height: 2160, duration: 8 })
+   * The scene was built before this call; use ?capture for exact runs.
+   */
+  capture(options = {}) {
+    if (this.frameCapture?.isCapturing) {
+      return Promise.reject(new Error('A capture is already running'));
+    }
+    this.frameCapture = new FrameCapture(this, options);
+    return this.frameCapture.run();
+  }
+
+  /**
+   * Render at a fixed size instead of the window (capture), or null to restore
+   * @param {{width: number, height: number, pixelRatio: number}|null} override
+   */
+  setRenderOverride(override) {
+    this.renderOverride = override;
+    this.lastViewport.pixelRatio = 0;
+    this.applyResize();
   }
 
   /**
    * Render scene
    */
   render() {
-    if (this.composer) {
-      this.composer.render();
+    if (this.pipeline) {
+      this.pipeline.render();
     }
   }
 
@@ -798,10 +1513,78 @@ class CinematicExperience {
     const now = performance.now();
     
     if (now >= this.lastFpsUpdate + 1000) {
-      this.fps = Math.round((this.frameCount * 1000) / (now - this.lastFpsUpdate));
+      const windowMs = now - this.lastFpsUpdate;
+      this.fps = Math.round((this.frameCount * 1000) / windowMs);
       this.frameCount = 0;
       this.lastFpsUpdate = now;
+      
+      // A long window means rAF was paused (hidden tab), not a slow GPU
+      if (windowMs > 2000) {
+        this.qualityGovernor.reset();
+      } else {
+        this.qualityGovernor.sample(this.fps);
+      }
+      
+      const fpsValue = document.getElementById('fps-value');
+      if (fpsValue) fpsValue.textContent = this.fps;
+    }
+  }
+
+  /**
+   * Switch every subsystem between full and reduced motion
+   */
+  applyMotionPolicy(reduced) {
+    this.cameraDirector.setReducedMotion(reduced);
+    this.motionOrchestrator.setReducedMotion(reduced);
+    if (this.crossfadePass) {
+      this.crossfadePass.enabled = reduced;
+      this.crossfadePass.amount = 0;
     }
+    this.setScrollSnap(this.options.scrollSnap);
+  }
+
+  /**
+   * Apply a quality tier's render settings to every subsystem
+   */
+  applyQuality(tier) {
+    const preset = QUALITY_PRESETS[tier];
+    const shadowsChanged = this.renderer.shadowMap.enabled !== preset.shadows;
+    this.quality = tier;
+    this.maxPixelRatio = preset.pixelRatio;
+    
+    this.renderer.shadowMap.enabled = preset.shadows;
+    this.lightingRig.setQuality(tier);
+    this.cameraDirector.setQuality(tier);
+    
+    this.pipeline.setQuality(tier);
+    
+    const particleLayers = this.geometryLibrary.objects.particleLayers || [];
+    particleLayers.forEach((layer, i) => {
+      layer.visible = i < preset.particleLayers;
+    });
+    this.depthParallaxGroups.forEach((group) => {
+      group.children.forEach((particle, i) => {
+        particle.visible = i < preset.depthParticles;
+      });
+    });
+    
+    // Shadow map support is baked into programs
+    if (shadowsChanged) invalidateMaterials(this.scene);
+    
+    // Force a resize so pixel ratio and pass resolutions follow the tier
+    this.lastViewport.pixelRatio = 0;
+    this.applyResize();
+    
+    const qualityValue = document.getElementById('quality-value');
+    if (qualityValue) qualityValue.textContent = tier;
+  }
+
+  /**
+   * Governor stepped the tier: apply it and let the UI know
+   */
+  handleQualityChange(change) {
+    this.applyQuality(change.tier);
+    this.events.emit('quality:change', change);
   }
 
   /**
@@ -816,9 +1599,10 @@ class CinematicExperience {
   }
 
   applyResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
-    const pixelRatio = Math.min(window.devicePixelRatio, this.maxPixelRatio);
+    const override = this.renderOverride;
+    const width = override?.width ?? window.innerWidth;
+    const height = override?.height ?? window.innerHeight;
+    const pixelRatio = override?.pixelRatio ?? Math.min(window.devicePixelRatio, this.maxPixelRatio);
     const viewportUnchanged =
       this.lastViewport.width === width &&
       this.lastViewport.height === height &&
@@ -830,16 +1614,8 @@ class CinematicExperience {
     this.camera.updateProjectionMatrix();
     
     this.renderer.setPixelRatio(pixelRatio);
-    this.renderer.setSize(width, height);
-    if (this.composer) {
-      this.composer.setSize(width, height);
-    }
-    if (this.passes?.smaaPass?.setSize) {
-      this.passes.smaaPass.setSize(width * pixelRatio, height * pixelRatio);
-    }
-    if (this.ssrPass?.setSize) {
-      this.ssrPass.setSize(Math.floor(width * 0.75), Math.floor(height * 0.75));
-    }
+    this.renderer.setSize(width, height, !override); // Leave the canvas CSS size alone while overridden
+    if (this.pipeline) this.pipeline.setSize(width, height, pixelRatio);
     
     if (this.backgroundMesh) {
       this.backgroundMesh.material.uniforms.resolution.value.set(width, height);
@@ -850,17 +1626,13 @@ class CinematicExperience {
     if (this.scrollTicking) return;
     this.scrollTicking = true;
     window.requestAnimationFrame(() => {
-      const scrollHeight = Math.max(1, document.documentElement.scrollHeight - window.innerHeight);
-      this.targetScrollProgress = THREE.MathUtils.clamp(window.scrollY / scrollHeight, 0, 1);
       this.scrollTicking = false;
+      // goToScene() drives scroll itself while it flies
+      if (this.navigation?.tween) return;
+      this.targetScrollProgress = THREE.MathUtils.clamp(window.scrollY / this.getScrollRange(), 0, 1);
     });
   }
 
-  handleMouseMove(e) {
-    this.mouse.x = (e.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(e.clientY / window.innerHeight) * 2 + 1;
-  }
-
   /**
    * Dispose and cleanup
    */
@@ -868,8 +1640,15 @@ class CinematicExperience {
     this.isDisposed = true;
     console.log('[Cleanup] Disposing resources');
     
+    if (this.preloader) this.preloader.dispose();
+    if (this.contextRecovery) this.contextRecovery.dispose();
+    if (this.sceneAssets) this.sceneAssets.dispose();
     if (this.geometryLibrary) this.geometryLibrary.dispose();
     if (this.cameraDirector) this.cameraDirector.dispose();
+    if (this.lightingRig) this.lightingRig.dispose();
+    if (this.motionOrchestrator) this.motionOrchestrator.dispose();
+    if (this.morphTargetManager) this.morphTargetManager.dispose();
+    if (this.heroMorphCloud?.material) this.heroMorphCloud.material.dispose();
     if (this.transitionEngine) this.transitionEngine.reset();
     if (this.rafId) {
       cancelAnimationFrame(this.rafId);
@@ -883,9 +1662,8 @@ class CinematicExperience {
     if (this.renderer) {
       this.renderer.dispose();
     }
-    if (this.composer) {
-      this.composer.dispose();
-    }
+    if (this.colorGrader) this.colorGrader.dispose();
+    if (this.pipeline) this.pipeline.dispose();
     if (this.backgroundMesh?.geometry) this.backgroundMesh.geometry.dispose();
     if (this.backgroundMesh?.material) this.backgroundMesh.material.dispose();
     if (this.backgroundScene) {
@@ -896,12 +1674,7 @@ class CinematicExperience {
         }
       });
     }
-    if (this.environmentTexture) {
-      this.environmentTexture.dispose();
-    }
-    if (this.environmentRT) {
-      this.environmentRT.dispose();
-    }
+    if (this.environmentRig) this.environmentRig.dispose();
     if (this.foregroundSilhouette?.geometry) this.foregroundSilhouette.geometry.dispose();
     if (this.foregroundSilhouette?.material) this.foregroundSilhouette.material.dispose();
     if (this.volumetricBeam?.geometry) this.volumetricBeam.geometry.dispose();
@@ -920,24 +1693,45 @@ class CinematicExperience {
         }
       });
     });
-    if (this.moon) {
-      if (this.moon.geometry) this.moon.geometry.dispose();
-      if (this.moon.material) this.moon.material.dispose();
-    }
-    this.moonTextures.forEach((texture) => texture.dispose());
-    this.moonTextures = [];
-    this.moonLoadToken++;
     
     window.removeEventListener('resize', this.handleResize);
     window.removeEventListener('scroll', this.handleScroll);
-    window.removeEventListener('mousemove', this.handleMouseMove);
+    window.removeEventListener('wheel', this.handleScrollIntent);
+    window.removeEventListener('touchstart', this.handleScrollIntent);
+    window.removeEventListener('keydown', this.handleKeydown);
+    window.removeEventListener('message', this.handleMessage);
+    window.removeEventListener('click', this.handleClick);
+    this.cancelNavigation();
+    if (this.parallaxInput) this.parallaxInput.dispose();
+    if (this.motionPolicy) this.motionPolicy.dispose();
+    if (this.router) this.router.dispose();
+    if (this.scrollSnap) this.scrollSnap.dispose();
+    if (this.scrollMap) this.scrollMap.dispose();
   }
 }
 
+// Programs are rebuilt on the next render that uses them
+function invalidateMaterials(root) {
+  root.traverse((obj) => {
+    if (!obj.material) return;
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    materials.forEach((material) => { material.needsUpdate = true; });
+  });
+}
+
 // Initialize application
 const bootstrap = () => {
   console.log('[App] Initializing Cinematic WebGL Experience');
-  const app = new CinematicExperience();
+  const app = new CinematicExperience({
+    manifest: document.body.dataset.sceneManifest,
+    transitionMode: document.body.dataset.transitionMode,
+    capture: FrameCapture.fromURL(),
+    seed: SeededRandom.fromURL() ?? document.body.dataset.seed,
+    routing: document.body.dataset.routing,
+    routeBase: document.body.dataset.routeBase,
+    scrollSnap: document.body.dataset.scrollSnap === 'true',
+    allowedOrigins: document.body.dataset.allowedOrigins?.split(/[\s,]+/).filter(Boolean),
+  });
   
   // Expose to window for debugging
   window.cinematicApp = app;